@@ -20,12 +20,39 @@
 
 // background.js - Service Worker for Extension Stability
 
+import { flushLinkQueue, FLUSH_ALARM, FLUSH_INTERVAL } from './link-queue.js';
+import { createLinkInfo, saveLinkToWiki, formatLocaleResults } from './link-actions.js';
+import { readPageMetadata, applyPageMetadata } from './page-metadata.js';
+import { getPageSettings } from './locale-pages.js';
+import { getCachedStructure } from './profiles.js';
+import { t } from './i18n.js';
+
+// Command name of the keyboard shortcut (see "commands" in manifest.json)
+const ADD_TAB_COMMAND = 'add-current-tab';
+
+// Context menu parents (message keys of their titles); each gets one entry per category
+const MENU_CONTEXTS = {
+  page: 'menuSavePage',
+  link: 'menuSaveLink',
+  selection: 'menuSaveSelection'
+};
+
+/**
+ * Schedules the periodic retry of queued links
+ * Alarms do not survive browser restarts, so this runs on install and on startup
+ */
+function scheduleLinkQueueFlush() {
+  chrome.alarms.create(FLUSH_ALARM, { periodInMinutes: FLUSH_INTERVAL });
+}
+
 /**
  * Service Worker Installation Handler
  * Called when the extension is installed or updated
  */
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Wiki.js Linker Extension installed');
+  scheduleLinkQueueFlush();
+  buildContextMenus();
 });
 
 /**
@@ -52,4 +79,230 @@ chrome.runtime.onStartup.addListener(() => {
       console.log('Storage available');
     }
   });
-});
\ No newline at end of file
+  
+  scheduleLinkQueueFlush();
+  buildContextMenus();
+});
+
+/**
+ * Retries links that were queued while the wiki was unreachable
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== FLUSH_ALARM) return;
+  
+  flushLinkQueue()
+    .then(result => {
+      if (result.added > 0) console.log(`Added ${result.added} queued links`);
+    })
+    .catch(error => console.error('Flushing link queue failed:', error));
+});
+
+/**
+ * Target page for Live Edit (live_edit.js): content scripts cannot import locale-pages.js,
+ * so they ask here and edit the same page as the popup
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'getPageSettings' || sender.id !== chrome.runtime.id) return false;
+
+  getPageSettings()
+    .then(({ endpoint, token, locale, pageId }) => sendResponse({ settings: { endpoint, token, locale, pageId } }))
+    .catch(error => sendResponse({ error: error.message }));
+  return true;
+});
+
+// ===== CONTEXT MENU =====
+
+// Rebuilds run one after another - overlapping rebuilds would create duplicate IDs
+let menuBuild = Promise.resolve();
+
+/**
+ * (Re)creates the context menu entries from the stored categories
+ */
+function buildContextMenus() {
+  menuBuild = menuBuild
+    .then(createContextMenus)
+    .catch(error => console.error('Building context menus failed:', error));
+  return menuBuild;
+}
+
+async function createContextMenus() {
+  const { categories } = await getCachedStructure();
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+
+  Object.entries(MENU_CONTEXTS).forEach(([context, titleKey]) => {
+    chrome.contextMenus.create({ id: context, title: t(titleKey), contexts: [context] });
+
+    if (categories.length === 0) {
+      chrome.contextMenus.create({
+        id: `${context}:none`,
+        parentId: context,
+        title: t('menuNoCategories'),
+        enabled: false,
+        contexts: [context]
+      });
+      return;
+    }
+
+    categories.forEach(cat => {
+      chrome.contextMenus.create({
+        id: `${context}:${cat.key}`,
+        parentId: context,
+        title: cat.name,
+        contexts: [context]
+      });
+    });
+  });
+}
+
+/**
+ * Keep the category submenus in sync with the structure stored by the popup
+ */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.categories) {
+    buildContextMenus();
+  }
+});
+
+/**
+ * Builds the link to save from the clicked context
+ * @param {Object} info - contextMenus.OnClickData
+ * @param {Object} tab - Tab the menu was opened in
+ * @returns {Promise<Object>} Link data, see createLinkInfo
+ */
+async function linkInfoFromContext(info, tab) {
+  if (info.linkUrl) {
+    return createLinkInfo(info.linkUrl, info.selectionText || linkTitleFromUrl(info.linkUrl));
+  }
+
+  // A selected URL is saved as link, any other selection becomes the title of the page link
+  const selection = (info.selectionText || "").trim();
+  if (/^https?:\/\/\S+$/i.test(selection)) {
+    return createLinkInfo(selection, linkTitleFromUrl(selection));
+  }
+
+  const linkInfo = await tabLinkInfo(tab, info.pageUrl);
+  return selection ? { ...linkInfo, title: selection } : linkInfo;
+}
+
+/**
+ * Builds the link to a tab, including the metadata of its page
+ * @param {Object} tab - Tab to link
+ * @param {string} [url] - URL to use instead of the tab URL
+ * @returns {Promise<Object>} Link data, see applyPageMetadata
+ */
+async function tabLinkInfo(tab, url) {
+  const linkInfo = createLinkInfo(url || tab?.url, tab?.title);
+  return tab?.id !== undefined ? applyPageMetadata(linkInfo, await readPageMetadata(tab.id)) : linkInfo;
+}
+
+/**
+ * Readable title for a link without text (host and last path segment)
+ * @param {string} url - Link URL
+ * @returns {string} Title
+ */
+function linkTitleFromUrl(url) {
+  try {
+    const u = new URL(url);
+    const segment = decodeURIComponent(u.pathname.split('/').filter(Boolean).pop() || "");
+    return segment ? `${u.hostname} – ${segment.replace(/[-_]+/g, ' ')}` : u.hostname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Shows the result of a save without the popup
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ */
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title,
+    message
+  });
+}
+
+// Saves run one after another - a repeated shortcut would load the page before the previous link is written
+let pendingSave = Promise.resolve();
+
+/**
+ * Queues saveAndNotify behind the save that is still running
+ * @param {...*} args - Arguments of saveAndNotify
+ * @returns {Promise<void>} Resolves when this save is done
+ */
+function queueSave(...args) {
+  pendingSave = pendingSave.then(() => saveAndNotify(...args));
+  return pendingSave;
+}
+
+/**
+ * Saves a link and reports the result as a notification
+ * @param {Function} getLinkInfo - Returns the link data or a promise of it (may throw for links that cannot be saved)
+ * @param {string} categoryKey - Target category
+ * @param {string} source - Where the save was triggered, for the console
+ * @param {Object} [tab] - Tab the save was triggered in
+ */
+async function saveAndNotify(getLinkInfo, categoryKey, source, tab) {
+  try {
+    const linkInfo = await getLinkInfo();
+    const result = await saveLinkToWiki(linkInfo, categoryKey, tab);
+    const variants = result.variants ? `\n${formatLocaleResults(result.variants)}` : "";
+
+    if (result.status === 'added') {
+      notify(t('notifyLinkSaved'), t('notifyLinkSavedMessage', linkInfo.title, result.categoryName) + variants);
+    } else if (result.status === 'duplicate') {
+      notify(t('notifyLinkExists'), t('notifyLinkExistsMessage', linkInfo.title, result.existingIn.join(', ')) + variants);
+    } else {
+      notify(t('notifyLinkQueued'), t('notifyLinkQueuedMessage', linkInfo.title, result.categoryName) + variants);
+    }
+  } catch (error) {
+    console.error(`Saving link from ${source} failed:`, error);
+    notify(t('notifyLinkNotSaved'), error.message);
+  }
+}
+
+/**
+ * Context menu click handler: saves the page, link or selection to the chosen category
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const [context, categoryKey] = String(info.menuItemId).split(':');
+  if (!MENU_CONTEXTS[context] || !categoryKey || categoryKey === 'none') return;
+
+  await queueSave(() => linkInfoFromContext(info, tab), categoryKey, 'context menu', tab);
+});
+
+// ===== KEYBOARD SHORTCUT =====
+
+/**
+ * Category for the keyboard shortcut: the configured default or the last used one
+ * @returns {Promise<string|undefined>} Category key
+ */
+async function shortcutCategory() {
+  const { shortcutTarget, defaultCategory, lastCategory } = await chrome.storage.sync.get({
+    shortcutTarget: 'last',
+    defaultCategory: '',
+    lastCategory: ''
+  });
+  return (shortcutTarget === 'default' ? defaultCategory : lastCategory) || undefined;
+}
+
+/**
+ * Keyboard shortcut handler: adds the active tab without opening the popup
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== ADD_TAB_COMMAND) return;
+
+  const categoryKey = await shortcutCategory();
+  if (!categoryKey) {
+    notify(t('notifyLinkNotSaved'), t('notifyNoShortcutCategory'));
+    return;
+  }
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+
+  await queueSave(() => tabLinkInfo(tab), categoryKey, 'keyboard shortcut', tab);
+});
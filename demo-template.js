@@ -3,55 +3,19 @@
  * @description Generates a complete demo template with containers, categories and example links
  */
 
-// ===== HELPER FUNCTIONS (GraphQL, etc.) =====
-
-async function executeGraphQL(endpoint, token, query, variables) {
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${token}` },
-    body: JSON.stringify({ query, variables })
-  });
-  const responseText = await response.text();
-  if (!response.ok) { throw new Error(`HTTP ${response.status} — ${response.statusText}: ${responseText}`); }
-  let json = {};
-  try { json = JSON.parse(responseText); } catch (e) { throw new Error(`Invalid JSON response: ${responseText.slice(0, 200)}`); }
-  if (json.errors && Array.isArray(json.errors) && json.errors.length > 0) { throw new Error(`GraphQL Error: ${json.errors.map(e => e.message || String(e)).join("; ")}`); }
-  return json.data || json;
-}
-
-async function loadWikiPage(endpoint, token, pageId) {
-  const id = Number(pageId);
-  const data = await executeGraphQL(endpoint, token, QUERY_GET_PAGE, { id });
-  const page = data?.pages?.single;
-  if (!page) { throw new Error(`Wiki page with ID ${id} not found`); }
-  return page;
-}
-
-async function updateWikiPage(endpoint, token, page, newContent) {
-  const currentPageDetails = page;
-  const tagStrings = Array.isArray(currentPageDetails.tags) ? currentPageDetails.tags.map(tag => (typeof tag === 'object' && tag.tag) ? tag.tag : String(tag)) : [];
-  const variables = {
-    id: Number(currentPageDetails.id),
-    content: newContent,
-    title: currentPageDetails.title || "",
-    isPublished: currentPageDetails.isPublished !== undefined ? currentPageDetails.isPublished : true,
-    isPrivate: currentPageDetails.isPrivate || false,
-    locale: currentPageDetails.locale || "en",
-    path: currentPageDetails.path || "",
-    tags: tagStrings
-  };
-  const result = await executeGraphQL(endpoint, token, MUTATION_UPDATE_PAGE, variables);
-  const responseResult = result?.pages?.update?.responseResult;
-  if (!responseResult?.succeeded) { throw new Error(`Wiki Update Error: ${responseResult?.message || "Update failed"}`); }
-  return result;
-}
-
-const QUERY_GET_PAGE = `query GetPage($id: Int!) { pages { single(id: $id) { id path title editor content description isPrivate isPublished locale tags { id tag title } createdAt updatedAt } } }`;
-const MUTATION_UPDATE_PAGE = `mutation UpdatePage($id: Int!, $content: String!, $title: String, $isPublished: Boolean, $isPrivate: Boolean, $locale: String, $path: String, $tags: [String]) { pages { update(id: $id, content: $content, title: $title, isPublished: $isPublished, isPrivate: $isPrivate, locale: $locale, path: $path, tags: $tags) { responseResult { succeeded errorCode message } page { id updatedAt } } } }`;
+import { loadWikiPage, updateWikiPage } from './graphql-client.js';
+import { saveSnapshot } from './page-history.js';
+import { convertContent, resolveContentFormat } from './wiki-content.js';
+import { getPageSettings } from './locale-pages.js';
+import { t } from './i18n.js';
 
 // ===== DEMO-TEMPLATE GENERATOR =====
 
-function generateDemoTemplate() {
+/**
+ * Generates the HTML of the demo page
+ * @returns {string} Page content
+ */
+export function generateDemoTemplate() {
   return `<div class="layout-container layout-3col" id="development-container">
   <!-- Container: development - Development & Tools -->
   <!-- CONTAINER_DEVELOPMENT_CONTENT_START -->
@@ -141,15 +105,21 @@ const DEMO_CATEGORIES = [
  * @returns {Object} Result object with success status and created data
  */
 export async function loadDemoTemplate(log) {
-  log("Loading demo template...");
+  log(t('demoLoading'));
   try {
-    const config = await chrome.storage.sync.get(['endpoint', 'token', 'pageId']);
+    const config = await getPageSettings({ outputFormat: "auto", markdownClasses: true });
     if (!config.endpoint || !config.token || !config.pageId) {
-      throw new Error("Wiki configuration incomplete. Please check in options.");
+      throw new Error(t('configIncomplete'));
     }
 
     const page = await loadWikiPage(config.endpoint, config.token, config.pageId);
-    const demoContent = generateDemoTemplate();
+
+    // The demo replaces the whole page, so only the option and the editor decide the format
+    const format = resolveContentFormat({ editor: page.editor }, config.outputFormat);
+    const demoContent = format === 'markdown'
+      ? convertContent(generateDemoTemplate(), { format, classes: config.markdownClasses })
+      : generateDemoTemplate();
+    await saveSnapshot(page, t('operationLoadDemo'));
 
     await updateWikiPage(config.endpoint, config.token, page, demoContent);
 
@@ -159,20 +129,13 @@ export async function loadDemoTemplate(log) {
       'categories': DEMO_CATEGORIES
     });
 
-    log(`✅ Demo template successfully loaded!
-
-Contains:
-- 2 containers (3-column & 2-column)
-- 5 categories (different layouts)
-- 1 example link to YouTube
-
-The structure has been synchronized and is ready to use.`);
+    log(t('demoLoaded'));
     
     return { success: true, containers: DEMO_CONTAINERS, categories: DEMO_CATEGORIES };
 
   } catch (error) {
     console.error("Error loading demo template:", error);
-    log(`❌ Loading failed: ${error.message}`);
+    log(t('demoFailed', error.message));
     return { success: false, error: error.message };
   }
 }
\ No newline at end of file
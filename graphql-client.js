@@ -0,0 +1,661 @@
+/**
+ * @file graphql-client.js
+ * @description Shared Wiki.js GraphQL client with timeouts, retries and typed errors
+ * @version 1.67
+ */
+
+import { t } from './i18n.js';
+
+// ===== CONFIGURATION =====
+
+// Request timeout in milliseconds
+const REQUEST_TIMEOUT = 15000;
+
+// Retries after the first attempt for network errors, timeouts and 5xx responses
+const MAX_RETRIES = 2;
+
+// Delay before the first retry; doubled for every further retry
+const RETRY_DELAY = 500;
+
+// ===== ERRORS =====
+
+/**
+ * Base class for all Wiki.js API errors
+ */
+export class WikiApiError extends Error {
+  /**
+   * @param {string} message - Actionable message for the user
+   * @param {Object} [details] - Additional information
+   * @param {number} [details.status] - HTTP status, if any
+   * @param {string} [details.body] - Start of the response body, for the console
+   */
+  constructor(message, { status, body } = {}) {
+    super(message);
+    this.name = 'WikiApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Token missing, invalid, expired or without permission
+ */
+export class WikiAuthError extends WikiApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'WikiAuthError';
+  }
+}
+
+/**
+ * The requested page does not exist
+ */
+export class WikiNotFoundError extends WikiApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'WikiNotFoundError';
+  }
+}
+
+/**
+ * Wiki.js answered, but rejected the request (responseResult.succeeded is false,
+ * GraphQL errors or a response that is not GraphQL at all)
+ */
+export class WikiResponseError extends WikiApiError {
+  /**
+   * @param {string} message - Actionable message for the user
+   * @param {Object} [details] - See WikiApiError; errorCode is the Wiki.js error code
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'WikiResponseError';
+    this.errorCode = details.errorCode;
+  }
+}
+
+/**
+ * Wiki.js could not be reached (network failure, timeout or server error)
+ */
+export class WikiNetworkError extends WikiApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'WikiNetworkError';
+  }
+}
+
+// ===== QUERIES =====
+
+/**
+ * Query to load a Wiki page
+ * CRITICAL: tags is a complex type in Wiki.js, not just String[]
+ */
+export const QUERY_GET_PAGE = `
+  query GetPage($id: Int!) {
+    pages {
+      single(id: $id) {
+        id
+        path
+        title
+        editor
+        content
+        description
+        isPrivate
+        isPublished
+        locale
+        publishEndDate
+        publishStartDate
+        scriptCss
+        scriptJs
+        tags {
+          id
+          tag
+          title
+        }
+        createdAt
+        updatedAt
+      }
+    }
+  }
+`;
+
+/**
+ * Query to load a Wiki page by path
+ */
+export const QUERY_GET_PAGE_BY_PATH = `
+  query GetPageByPath($path: String!, $locale: String!) {
+    pages {
+      singleByPath(path: $path, locale: $locale) {
+        id
+        path
+        title
+        editor
+        locale
+      }
+    }
+  }
+`;
+
+/**
+ * Query to list pages (newest first)
+ */
+export const QUERY_LIST_PAGES = `
+  query ListPages($limit: Int, $locale: String) {
+    pages {
+      list(limit: $limit, locale: $locale, orderBy: UPDATED, orderByDirection: DESC) {
+        id
+        path
+        title
+        locale
+      }
+    }
+  }
+`;
+
+/**
+ * Query for the full text search of pages
+ */
+export const QUERY_SEARCH_PAGES = `
+  query SearchPages($query: String!, $locale: String) {
+    pages {
+      search(query: $query, locale: $locale) {
+        results {
+          id
+          path
+          title
+          locale
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Mutation to create a Wiki page
+ */
+export const MUTATION_CREATE_PAGE = `
+  mutation CreatePage(
+    $content: String!,
+    $description: String!,
+    $editor: String!,
+    $isPublished: Boolean!,
+    $isPrivate: Boolean!,
+    $locale: String!,
+    $path: String!,
+    $tags: [String]!,
+    $title: String!
+  ) {
+    pages {
+      create(
+        content: $content,
+        description: $description,
+        editor: $editor,
+        isPublished: $isPublished,
+        isPrivate: $isPrivate,
+        locale: $locale,
+        path: $path,
+        tags: $tags,
+        title: $title
+      ) {
+        responseResult {
+          succeeded
+          errorCode
+          message
+        }
+        page {
+          id
+          path
+          title
+          locale
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * SIMPLIFIED WIKI.JS UPDATE MUTATION
+ * Based on Wiki.js documentation - only necessary fields
+ */
+export const MUTATION_UPDATE_PAGE = `
+  mutation UpdatePage(
+    $id: Int!,
+    $content: String!,
+    $title: String,
+    $isPublished: Boolean,
+    $isPrivate: Boolean,
+    $locale: String,
+    $path: String,
+    $tags: [String]
+  ) {
+    pages {
+      update(
+        id: $id,
+        content: $content,
+        title: $title,
+        isPublished: $isPublished,
+        isPrivate: $isPrivate,
+        locale: $locale,
+        path: $path,
+        tags: $tags
+      ) {
+        responseResult {
+          succeeded
+          errorCode
+          message
+        }
+        page {
+          id
+          updatedAt
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Asset folders below a folder (0 is the root folder)
+ */
+export const QUERY_ASSET_FOLDERS = `
+  query GetAssetFolders($parentFolderId: Int!) {
+    assets {
+      folders(parentFolderId: $parentFolderId) {
+        id
+        slug
+        name
+      }
+    }
+  }
+`;
+
+/**
+ * Creates an asset folder
+ */
+export const MUTATION_CREATE_ASSET_FOLDER = `
+  mutation CreateAssetFolder($parentFolderId: Int!, $slug: String!) {
+    assets {
+      createFolder(parentFolderId: $parentFolderId, slug: $slug) {
+        responseResult {
+          succeeded
+          errorCode
+          message
+        }
+      }
+    }
+  }
+`;
+
+// ===== REQUESTS =====
+
+/**
+ * Executes a GraphQL query against Wiki.js
+ *
+ * Network errors, timeouts and 5xx responses are retried with exponential backoff.
+ * Page updates only set the content, so retrying them is safe.
+ *
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {string} query - GraphQL query string
+ * @param {Object} variables - Query variables
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @returns {Promise<Object>} GraphQL response data
+ * @throws {WikiApiError} One of the typed errors above
+ */
+export async function executeGraphQL(endpoint, token, query, variables, options = {}) {
+  const { timeout = REQUEST_TIMEOUT, retries = MAX_RETRIES } = options;
+
+  if (!endpoint) {
+    throw new WikiApiError(t('apiNoEndpoint'));
+  }
+  if (!token) {
+    throw new WikiAuthError(t('apiNoToken'));
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(endpoint, token, query, variables, timeout);
+    } catch (e) {
+      if (!(e instanceof WikiNetworkError) || attempt >= retries) throw e;
+
+      const delay = RETRY_DELAY * 2 ** attempt;
+      console.warn(`GraphQL request failed, retrying in ${delay} ms:`, e.message);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function requestOnce(endpoint, token, query, variables, timeout) {
+  console.log("GraphQL Request:", { endpoint, query, variables });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  let responseText;
+
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${token}`
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal
+    });
+    responseText = await response.text();
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      throw new WikiNetworkError(t('apiTimeout', timeout / 1000));
+    }
+    throw new WikiNetworkError(t('apiUnreachable', endpoint, e.message));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  console.log("GraphQL Raw Response:", responseText);
+  const details = { status: response.status, body: responseText.slice(0, 500) };
+
+  if (response.status === 401 || response.status === 403) {
+    throw new WikiAuthError(t('apiTokenRejected', response.status), details);
+  }
+  if (response.status >= 500) {
+    throw new WikiNetworkError(t('apiServerError', response.status, response.statusText), details);
+  }
+
+  // GraphQL validation errors come with HTTP 400 and a JSON body
+  let json;
+  try {
+    json = JSON.parse(responseText);
+  } catch (e) {
+    if (!response.ok) {
+      throw new WikiResponseError(t('apiRequestFailed', response.status, response.statusText), details);
+    }
+    throw new WikiResponseError(t('apiNotGraphQL', endpoint), details);
+  }
+
+  // Wiki.js specific error handling
+  if (Array.isArray(json.errors) && json.errors.length > 0) {
+    const errorMessages = json.errors.map(e => e.message || String(e)).join("; ").replace(/\.$/, "");
+
+    if (json.errors.some(isAuthError)) {
+      throw new WikiAuthError(t('apiAccessDenied', errorMessages), details);
+    }
+    if (json.errors.some(e => /does not exist|not found/i.test(e.message || ""))) {
+      throw new WikiNotFoundError(t('apiNotFound', errorMessages), details);
+    }
+    throw new WikiResponseError(t('apiGraphQLError', errorMessages), details);
+  }
+  if (!response.ok) {
+    throw new WikiResponseError(t('apiRequestFailed', response.status, response.statusText), details);
+  }
+
+  return json.data || json;
+}
+
+function isAuthError(error) {
+  const code = error.extensions?.code || error.extensions?.exception?.code;
+  return ['UNAUTHENTICATED', 'FORBIDDEN'].includes(code) ||
+    /forbidden|unauthori[sz]ed|not authenticated|invalid token|jwt/i.test(error.message || "");
+}
+
+// ===== PAGES =====
+
+/**
+ * Loads a Wiki.js page by ID
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {number|string} pageId - Wiki page ID
+ * @returns {Promise<Object>} Page data object
+ * @throws {WikiNotFoundError} If the page does not exist
+ */
+export async function loadWikiPage(endpoint, token, pageId) {
+  const id = Number(pageId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new WikiNotFoundError(t('apiInvalidPageId', pageId));
+  }
+
+  const data = await executeGraphQL(endpoint, token, QUERY_GET_PAGE, { id });
+  const page = data?.pages?.single;
+
+  if (!page) {
+    throw new WikiNotFoundError(t('apiPageNotFound', id));
+  }
+
+  return page;
+}
+
+/**
+ * Splits a leading locale off a page path, as pasted from a Wiki.js URL ("/de/team/links")
+ * @param {string} path - Page path; leading and trailing slashes are ignored
+ * @param {Array<string>} locales - Known locales - other first segments are folders
+ * @returns {Object} { path, locale } - locale is null if the path does not start with a known locale
+ */
+export function splitPagePath(path, locales) {
+  const cleanPath = String(path || "").trim().replace(/^\/+|\/+$/g, "");
+  const [first, ...rest] = cleanPath.split('/');
+  const locale = locales.find(known => String(known || "").toLowerCase() === first.toLowerCase());
+
+  return locale && rest.length > 0
+    ? { path: rest.join('/'), locale }
+    : { path: cleanPath, locale: null };
+}
+
+/**
+ * Loads the basic data of a Wiki.js page by path
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {string} path - Page path (e.g. team/links); leading and trailing slashes are ignored,
+ *   a leading known locale ("de/team/links") is used instead of the locale parameter
+ * @param {string} locale - Page locale
+ * @param {Array<string>} [locales] - Further known locales, besides the locale parameter
+ * @returns {Promise<Object>} Page data (id, path, title, editor, locale)
+ * @throws {WikiNotFoundError} If there is no page with this path
+ */
+export async function loadWikiPageByPath(endpoint, token, path, locale, locales = []) {
+  const split = splitPagePath(path, [locale || "en", ...locales]);
+  const pageLocale = split.locale || locale || "en";
+  if (!split.path) {
+    throw new WikiNotFoundError(t('apiEnterPath'));
+  }
+
+  const data = await executeGraphQL(endpoint, token, QUERY_GET_PAGE_BY_PATH, { path: split.path, locale: pageLocale });
+  const page = data?.pages?.singleByPath;
+
+  if (!page) {
+    throw new WikiNotFoundError(t('apiNoPageAtPath', `${pageLocale}/${split.path}`));
+  }
+
+  return page;
+}
+
+/**
+ * Creates a published Wiki.js page
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {Object} page - New page
+ * @param {string} page.path - Path without locale (e.g. team/links)
+ * @param {string} page.title - Page title
+ * @param {string} page.locale - Page locale
+ * @param {string} page.editor - Editor (code = Raw HTML, markdown, ckeditor)
+ * @param {Array<string>} [page.tags] - Page tags
+ * @param {string} [page.description] - Page description
+ * @param {string} page.content - Initial content
+ * @returns {Promise<Object>} The created page (id, path, title, locale)
+ * @throws {WikiResponseError} If Wiki.js did not create the page (e.g. the path is taken)
+ */
+export async function createWikiPage(endpoint, token, { path, title, locale, editor, tags = [], description = "", content }) {
+  const variables = {
+    content,
+    description,
+    editor,
+    isPublished: true,
+    isPrivate: false,
+    locale: locale || "en",
+    path: String(path || "").trim().replace(/^\/+|\/+$/g, ""),
+    tags,
+    title
+  };
+
+  // Not retried: a create that timed out may have succeeded anyway
+  const result = await executeGraphQL(endpoint, token, MUTATION_CREATE_PAGE, variables, { retries: 0 });
+  const responseResult = result?.pages?.create?.responseResult;
+
+  if (!responseResult?.succeeded) {
+    const message = responseResult?.message || t('apiCreateFailed');
+    throw new WikiResponseError(t('apiCreateError', message), { errorCode: responseResult?.errorCode });
+  }
+
+  const page = result.pages.create.page;
+  if (!page?.id) {
+    // Older Wiki.js versions do not return the page - look it up by path
+    return loadWikiPageByPath(endpoint, token, variables.path, variables.locale);
+  }
+  return page;
+}
+
+/**
+ * Finds pages for the page picker
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {string} query - Search text; without text the latest updated pages are listed
+ * @param {string} [locale] - Only pages of this locale
+ * @returns {Promise<Array<Object>>} Pages (id, path, title, locale)
+ */
+export async function findWikiPages(endpoint, token, query, locale) {
+  const text = String(query || "").trim();
+
+  const pages = text
+    ? (await executeGraphQL(endpoint, token, QUERY_SEARCH_PAGES, { query: text, locale: locale || null }))?.pages?.search?.results
+    : (await executeGraphQL(endpoint, token, QUERY_LIST_PAGES, { limit: 50, locale: locale || null }))?.pages?.list;
+
+  // Search results have string IDs
+  return (pages || []).map(page => ({ ...page, id: Number(page.id) }));
+}
+
+/**
+ * Updates the content of a Wiki.js page, keeping all other page properties
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {Object} page - Current page as returned by loadWikiPage
+ * @param {string} newContent - New page content
+ * @returns {Promise<Object>} Update result (pages.update with responseResult and page.updatedAt)
+ * @throws {WikiResponseError} If Wiki.js did not accept the update
+ */
+export async function updateWikiPage(endpoint, token, page, newContent) {
+  // Convert complex tag objects to string array
+  const tagStrings = Array.isArray(page.tags)
+    ? page.tags.map(tag => (typeof tag === 'object' && tag.tag) ? tag.tag : String(tag))
+    : [];
+
+  const variables = {
+    id: Number(page.id),
+    content: newContent,
+    title: page.title || "",
+    isPublished: page.isPublished !== false, // Default true
+    isPrivate: page.isPrivate || false,
+    locale: page.locale || "en",
+    path: page.path || "",
+    tags: tagStrings
+  };
+
+  console.log("Update variables:", variables);
+
+  const result = await executeGraphQL(endpoint, token, MUTATION_UPDATE_PAGE, variables);
+  const responseResult = result?.pages?.update?.responseResult;
+
+  if (!responseResult?.succeeded) {
+    const message = responseResult?.message || t('apiUpdateFailed');
+    throw new WikiResponseError(t('apiUpdateError', message), { errorCode: responseResult?.errorCode });
+  }
+
+  return result;
+}
+
+// ===== ASSETS =====
+
+/**
+ * Finds an asset folder in the root folder, creating it if needed
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {string} slug - Folder name (lowercase letters, digits and dashes)
+ * @returns {Promise<Object>} Asset folder (id, slug, name)
+ * @throws {WikiResponseError} If the folder could not be created
+ */
+export async function ensureAssetFolder(endpoint, token, slug) {
+  const findFolder = async () => {
+    const data = await executeGraphQL(endpoint, token, QUERY_ASSET_FOLDERS, { parentFolderId: 0 });
+    return (data?.assets?.folders || []).find(folder => folder.slug === slug);
+  };
+
+  const existing = await findFolder();
+  if (existing) return existing;
+
+  const result = await executeGraphQL(endpoint, token, MUTATION_CREATE_ASSET_FOLDER, { parentFolderId: 0, slug });
+  const responseResult = result?.assets?.createFolder?.responseResult;
+  if (!responseResult?.succeeded) {
+    throw new WikiResponseError(t('apiFolderNotCreated', slug, responseResult?.message || t('apiUnknownError')), { errorCode: responseResult?.errorCode });
+  }
+
+  const created = await findFolder();
+  if (!created) {
+    throw new WikiResponseError(t('apiFolderMissing', slug));
+  }
+  return created;
+}
+
+/**
+ * Uploads a file to the Wiki.js assets
+ *
+ * The GraphQL API cannot upload files, so this uses the upload endpoint of the
+ * Wiki.js editor (/u) next to /graphql. An existing asset with the same name is replaced.
+ *
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {Object} folder - Target folder as returned by ensureAssetFolder
+ * @param {string} filename - Asset file name (lowercase, no spaces)
+ * @param {Blob} blob - File content
+ * @returns {Promise<string>} Path of the asset on the wiki (e.g. /linker/icon.png)
+ * @throws {WikiApiError} One of the typed errors above
+ */
+export async function uploadWikiAsset(endpoint, token, folder, filename, blob) {
+  const uploadUrl = new URL('/u', endpoint).href;
+  const form = new FormData();
+  form.append('mediaUpload', JSON.stringify({ folderId: folder.id }));
+  form.append('mediaUpload', blob, filename);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  let response;
+  let responseText;
+
+  try {
+    response = await fetch(uploadUrl, {
+      method: "POST",
+      headers: { "Authorization": `Bearer ${token}` },
+      body: form,
+      signal: controller.signal
+    });
+    responseText = await response.text();
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      throw new WikiNetworkError(t('apiUploadTimeout', REQUEST_TIMEOUT / 1000));
+    }
+    throw new WikiNetworkError(t('apiUploadUnreachable', uploadUrl, e.message));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const details = { status: response.status, body: responseText.slice(0, 500) };
+  if (response.status === 401 || response.status === 403) {
+    throw new WikiAuthError(t('apiUploadRejected', response.status), details);
+  }
+  if (response.status >= 500) {
+    throw new WikiNetworkError(t('apiUploadServerError', response.status, response.statusText), details);
+  }
+  if (!response.ok) {
+    throw new WikiResponseError(t('apiUploadFailed', response.status, response.statusText, responseText.slice(0, 200)), details);
+  }
+
+  return `/${folder.slug}/${filename}`;
+}
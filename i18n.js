@@ -0,0 +1,34 @@
+/**
+ * @file i18n.js
+ * @description Translated texts for the popup, options page and service worker (see _locales)
+ * @version 1.67
+ */
+
+/**
+ * Message in the browser's language, English if it has no translation
+ * @param {string} key - Message name in _locales/<language>/messages.json
+ * @param {...*} substitutions - Values of the message's placeholders, in order
+ * @returns {string} Translated message
+ */
+export function t(key, ...substitutions) {
+  return chrome.i18n.getMessage(key, substitutions.map(value => String(value ?? ""))) || key;
+}
+
+/**
+ * Translates the static texts of a page
+ *
+ * data-i18n replaces the text of an element, data-i18n-placeholder and
+ * data-i18n-title the attributes; data-i18n-args holds comma-separated
+ * substitutions. The English texts in the HTML stay as fallback.
+ *
+ * @param {Document|Element} [root] - Part of the page to translate
+ */
+export function localizePage(root = document) {
+  const args = (el) => el.dataset.i18nArgs ? el.dataset.i18nArgs.split(',') : [];
+  
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, ...args(el)); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+}
@@ -0,0 +1,212 @@
+/**
+ * @file link-actions.js
+ * @description Adds links to the wiki without the popup (context menu, keyboard shortcut)
+ * @version 1.67
+ */
+
+import { loadWikiPage, WikiNetworkError } from './graphql-client.js';
+import { WikiContentManager, faviconUrl } from './wiki-content.js';
+import { commitPageChange } from './page-commit.js';
+import { enqueueLink } from './link-queue.js';
+import { draftLinkAssets, applyLinkAssets } from './link-assets.js';
+import { getPageSettings } from './locale-pages.js';
+import { getCachedStructure } from './profiles.js';
+import { t } from './i18n.js';
+
+/**
+ * Builds the link data for a URL
+ * @param {string} url - URL to link
+ * @param {string} [title] - Link title; the host is used if empty
+ * @returns {Object} Link data (url, title, host, iconUrl)
+ * @throws {Error} For URLs that cannot be linked (internal browser pages etc.)
+ */
+export function createLinkInfo(url, title) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new Error(t('invalidUrl', url));
+  }
+
+  if (!['http:', 'https:'].includes(u.protocol)) {
+    throw new Error(t('cannotLinkPage'));
+  }
+
+  return {
+    url: u.href,
+    title: String(title || "").trim() || u.hostname,
+    host: u.hostname,
+    iconUrl: faviconUrl(u.hostname)
+  };
+}
+
+/**
+ * Adds a link to a category of the configured page
+ *
+ * Works like "Add Link" in the popup, but cannot ask questions: links that are
+ * already on the page are skipped, and links are queued if the wiki is unreachable.
+ * With "addToAllLocales" the link is added to the other locale variants as well.
+ *
+ * @param {Object} linkInfo - Link data, see createLinkInfo
+ * @param {string} categoryKey - Target category
+ * @param {Object} [tab] - Tab showing the linked page (source of icon and screenshot)
+ * @returns {Promise<Object>} { status: 'added' | 'duplicate' | 'queued', categoryName, existingIn, variants }
+ */
+export async function saveLinkToWiki(linkInfo, categoryKey, tab) {
+  const settings = await getPageSettings({ addToAllLocales: false });
+
+  if (!settings.endpoint || !settings.token || !settings.pageId) {
+    throw new Error(t('configMissing'));
+  }
+
+  const { categories } = await getCachedStructure();
+  const { linkInfo: savedLink, ...result } = await saveLinkToPage(linkInfo, categoryKey, tab, { ...settings, categories });
+  if (settings.addToAllLocales && settings.localeVariants.length > 0) {
+    result.variants = await saveLinksToLocaleVariants([{ linkInfo: savedLink, categoryKey, categoryName: result.categoryName }], settings);
+  }
+  return result;
+}
+
+async function saveLinkToPage(linkInfo, categoryKey, tab, { endpoint, token, pageId, categories }) {
+  const storedCategory = categories.find(cat => cat.key === categoryKey);
+  let categoryName = storedCategory ? storedCategory.name : categoryKey;
+  linkInfo = await draftLinkAssets(linkInfo, tab);
+
+  try {
+    const page = await loadWikiPage(endpoint, token, pageId);
+    let target = findLinkTarget(new WikiContentManager(page.content), linkInfo.url, categoryKey, categoryName);
+    categoryName = target.category.name;
+    if (target.existingIn) {
+      return { status: 'duplicate', categoryName, existingIn: target.existingIn, linkInfo };
+    }
+
+    // Icons and previews are uploaded once, a re-applied change adds the same link
+    linkInfo = await applyLinkAssets(linkInfo, tab, { preview: target.category.layout === 'large' });
+    await commitPageChange({ endpoint, token, pageId }, t('operationAddLink', linkInfo.title), (contentManager) => {
+      target = findLinkTarget(contentManager, linkInfo.url, categoryKey, categoryName);
+      if (!target.existingIn) contentManager.addLinkToCategory(linkInfo, categoryKey);
+    }, { page });
+
+    categoryName = target.category.name;
+    if (target.existingIn) {
+      return { status: 'duplicate', categoryName, existingIn: target.existingIn, linkInfo };
+    }
+
+    await chrome.storage.sync.set({ lastCategory: categoryKey });
+    return { status: 'added', categoryName, linkInfo };
+
+  } catch (e) {
+    if (!(e instanceof WikiNetworkError)) throw e;
+
+    console.warn("Wiki not reachable, queueing link:", e.message);
+    await enqueueLink(linkInfo, categoryKey, categoryName, pageId);
+    return { status: 'queued', categoryName, linkInfo };
+  }
+}
+
+/**
+ * Finds the category a link is added to and the categories that already contain it
+ * @param {WikiContentManager} contentManager - Content manager of the page
+ * @param {string} url - URL of the link
+ * @param {string} categoryKey - Target category
+ * @param {string} categoryName - Name of the target category, for the error message
+ * @returns {Object} { category, existingIn } - existingIn lists category names if the link is already on the page
+ * @throws {Error} If the category is not on the page
+ */
+function findLinkTarget(contentManager, url, categoryKey, categoryName) {
+  const pageCategories = contentManager.analyzer.extractCategories();
+  const category = pageCategories.find(cat => cat.key === categoryKey);
+
+  if (!category) {
+    throw new Error(t('categoryGone', categoryName));
+  }
+
+  const duplicates = contentManager.analyzer.findDuplicateLinks(url);
+  if (duplicates.length === 0) return { category, existingIn: null };
+
+  const existingIn = [...new Set(duplicates.map(link => {
+    const cat = pageCategories.find(c => c.key === link.categoryKey);
+    return cat ? cat.name : t('outsideAnyCategory');
+  }))];
+  return { category, existingIn };
+}
+
+/**
+ * Adds links to the other locale variants of the page (see locale-pages.js)
+ *
+ * Categories are matched by key, so every page keeps its own translated
+ * category names. Links that are already on a page or whose category is
+ * missing there are skipped; links are queued for pages that cannot be reached.
+ *
+ * @param {Array<Object>} items - Links ({ linkInfo, categoryKey, categoryName }) with icons and previews applied
+ * @param {Object} settings - Settings as returned by getPageSettings
+ * @returns {Promise<Array<Object>>} Per variant: { locale, added, duplicates, missing, queued, error }
+ */
+export async function saveLinksToLocaleVariants(items, { endpoint, token, localeVariants }) {
+  const results = [];
+
+  for (const { locale, pageId } of localeVariants) {
+    const result = { locale, added: 0, duplicates: 0, missing: 0, queued: false, error: null };
+    results.push(result);
+
+    try {
+      // Counted again for every attempt - a re-fetched page may already have some of the links
+      const { result: counts } = await commitPageChange({ endpoint, token, pageId }, addLinksOperation, (contentManager) => {
+        const categoryKeys = contentManager.analyzer.extractCategories().map(cat => cat.key);
+        const counts = { addedTitles: [], duplicates: 0, missing: 0 };
+
+        items.forEach(({ linkInfo, categoryKey }) => {
+          if (contentManager.analyzer.findDuplicateLinks(linkInfo.url).length > 0) {
+            counts.duplicates++;
+          } else if (!categoryKeys.includes(categoryKey)) {
+            counts.missing++;
+          } else {
+            contentManager.addLinkToCategory(linkInfo, categoryKey);
+            counts.addedTitles.push(linkInfo.title);
+          }
+        });
+        return counts;
+      });
+
+      result.added = counts.addedTitles.length;
+      result.duplicates = counts.duplicates;
+      result.missing = counts.missing;
+
+    } catch (e) {
+      if (!(e instanceof WikiNetworkError)) {
+        result.error = e.message;
+        continue;
+      }
+
+      console.warn(`Wiki not reachable, queueing links for ${locale}:`, e.message);
+      for (const { linkInfo, categoryKey, categoryName } of items) {
+        await enqueueLink(linkInfo, categoryKey, categoryName, pageId);
+      }
+      result.queued = true;
+    }
+  }
+
+  return results;
+}
+
+// Journal name of a locale page update, after the links that were added
+function addLinksOperation({ addedTitles }) {
+  return addedTitles.length === 1 ? t('operationAddLink', addedTitles[0]) : t('operationAddLinks', addedTitles.length);
+}
+
+/**
+ * Summary of saveLinksToLocaleVariants results, one line per locale
+ * @param {Array<Object>} results - Results of saveLinksToLocaleVariants
+ * @returns {string} Summary
+ */
+export function formatLocaleResults(results) {
+  return results.map(result => {
+    const details = [];
+    if (result.error) details.push(t('localeResultFailed', result.error));
+    if (result.queued) details.push(t('localeResultQueued'));
+    if (result.added) details.push(t('localeResultAdded', result.added));
+    if (result.duplicates) details.push(t('localeResultDuplicates', result.duplicates));
+    if (result.missing) details.push(t('localeResultMissing', result.missing));
+    return t('localeResultLine', result.locale, details.join(', ') || t('localeResultNothing'));
+  }).join('\n');
+}
@@ -0,0 +1,209 @@
+/**
+ * @file link-assets.js
+ * @description Favicons and preview images of link cards, optionally without third-party services
+ * @version 1.67
+ */
+
+import { ensureAssetFolder, uploadWikiAsset, WikiNetworkError } from './graphql-client.js';
+import { faviconUrl } from './wiki-content.js';
+
+// Wiki.js asset folder for uploaded icons and screenshots
+const ASSET_FOLDER = 'wiki-linker';
+
+// Larger icons are linked instead of embedded into the page
+const MAX_INLINE_ICON_SIZE = 16 * 1024;
+
+// Timeout for downloading an icon in milliseconds
+const ICON_TIMEOUT = 5000;
+
+/**
+ * Favicon strategies (option "faviconStrategy")
+ * service - Google favicon service (sends the host to Google)
+ * tab     - the page's own icon (favIconUrl of the tab, otherwise /favicon.ico)
+ * inline  - the page's own icon, embedded as data URI
+ * upload  - the page's own icon, uploaded to the Wiki.js assets
+ * none    - no icon
+ */
+export const FAVICON_STRATEGIES = ['service', 'tab', 'inline', 'upload', 'none'];
+
+/**
+ * Preview strategies for the large layout (option "previewStrategy")
+ * service    - mini.s-shot.ru screenshot service (sends the URL to the service)
+ * page       - the page's OpenGraph/Twitter image
+ * screenshot - screenshot of the visible tab, uploaded to the Wiki.js assets
+ * none       - no preview
+ */
+export const PREVIEW_STRATEGIES = ['service', 'page', 'screenshot', 'none'];
+
+/**
+ * Reads the favicon and preview strategy from the options
+ * @returns {Promise<Object>} { faviconStrategy, previewStrategy }
+ */
+export async function loadAssetSettings() {
+  const { faviconStrategy, previewStrategy } = await chrome.storage.sync.get({
+    faviconStrategy: 'service',
+    previewStrategy: 'service'
+  });
+
+  return {
+    faviconStrategy: FAVICON_STRATEGIES.includes(faviconStrategy) ? faviconStrategy : 'service',
+    previewStrategy: PREVIEW_STRATEGIES.includes(previewStrategy) ? previewStrategy : 'service'
+  };
+}
+
+/**
+ * Sets icon and preview of a link without downloading or uploading anything
+ *
+ * Used for the popup preview and for queued links. Icons that would be
+ * embedded or uploaded are linked, screenshots are left out.
+ *
+ * @param {Object} linkInfo - Link data (url, host and optional page metadata)
+ * @param {Object} [tab] - Tab showing the linked page
+ * @returns {Promise<Object>} Link data with iconUrl and previewUrl
+ */
+export async function draftLinkAssets(linkInfo, tab) {
+  return draftAssets(linkInfo, tab, await loadAssetSettings());
+}
+
+/**
+ * Sets icon and preview of a link according to the options, embedding or uploading them
+ *
+ * Failed downloads and uploads fall back to the draft (see draftLinkAssets), only
+ * an unreachable wiki is reported so the caller can queue the link.
+ *
+ * @param {Object} linkInfo - Link data (url, host and optional page metadata)
+ * @param {Object} [tab] - Tab showing the linked page
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.preview] - The link goes to a large layout category (screenshots are only taken then)
+ * @returns {Promise<Object>} Link data with iconUrl and previewUrl
+ * @throws {WikiNetworkError} If an upload was needed, but the wiki is unreachable
+ */
+export async function applyLinkAssets(linkInfo, tab, { preview = false } = {}) {
+  const settings = await loadAssetSettings();
+  const result = draftAssets(linkInfo, tab, settings);
+  const source = iconSource(tab, linkInfo.url);
+
+  try {
+    if (settings.faviconStrategy === 'inline' && source) {
+      const blob = await fetchIcon(source);
+      if (blob.size <= MAX_INLINE_ICON_SIZE) {
+        result.iconUrl = await blobToDataUri(blob);
+      } else {
+        console.warn(`Icon of ${linkInfo.host} is too large to embed (${blob.size} bytes), linking it instead`);
+      }
+    } else if (settings.faviconStrategy === 'upload' && source) {
+      const blob = await fetchIcon(source);
+      result.iconUrl = await uploadAsset(`favicon-${safeName(linkInfo.host)}.${extensionOf(blob)}`, blob);
+    }
+  } catch (e) {
+    if (e instanceof WikiNetworkError) throw e;
+    console.warn(`Icon of ${linkInfo.host} could not be stored, linking it instead:`, e.message);
+  }
+
+  if (settings.previewStrategy === 'screenshot' && preview && isShownInTab(tab, linkInfo.url)) {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 70 });
+      const blob = await (await fetch(dataUrl)).blob();
+      result.previewUrl = await uploadAsset(`preview-${safeName(linkInfo.host)}-${Date.now()}.jpg`, blob);
+    } catch (e) {
+      if (e instanceof WikiNetworkError) throw e;
+      console.warn(`Screenshot of ${linkInfo.url} could not be stored:`, e.message);
+    }
+  }
+
+  return result;
+}
+
+function draftAssets(linkInfo, tab, { faviconStrategy, previewStrategy }) {
+  const result = { ...linkInfo };
+
+  if (faviconStrategy === 'none') {
+    result.iconUrl = '';
+  } else if (faviconStrategy === 'service') {
+    result.iconUrl = faviconUrl(linkInfo.host);
+  } else {
+    result.iconUrl = iconSource(tab, linkInfo.url);
+  }
+
+  if (previewStrategy === 'service') {
+    delete result.previewUrl;
+  } else if (previewStrategy === 'page') {
+    result.previewUrl = linkInfo.image || '';
+  } else {
+    result.previewUrl = '';
+  }
+
+  return result;
+}
+
+/**
+ * The page's own icon: the tab icon if the tab shows the linked site, otherwise /favicon.ico
+ */
+function iconSource(tab, url) {
+  try {
+    const icon = tab?.favIconUrl;
+    if (icon && /^(https?|data):/.test(icon) && new URL(tab.url).origin === new URL(url).origin) {
+      return icon;
+    }
+    return new URL('/favicon.ico', url).href;
+  } catch {
+    return '';
+  }
+}
+
+function isShownInTab(tab, url) {
+  try {
+    return Boolean(tab?.active) && new URL(tab.url).origin === new URL(url).origin;
+  } catch {
+    return false;
+  }
+}
+
+async function fetchIcon(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ICON_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const blob = await response.blob();
+
+    // Missing icons often come back as HTML error pages
+    if (!response.ok || blob.size === 0 || /^text\//.test(blob.type)) {
+      throw new Error(`No icon at ${url} (HTTP ${response.status})`);
+    }
+    return blob;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function uploadAsset(filename, blob) {
+  const { endpoint, token } = await chrome.storage.sync.get(['endpoint', 'token']);
+  const folder = await ensureAssetFolder(endpoint, token, ASSET_FOLDER);
+  return uploadWikiAsset(endpoint, token, folder, filename, blob);
+}
+
+async function blobToDataUri(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type.split(';')[0] || 'image/x-icon'};base64,${btoa(binary)}`;
+}
+
+function extensionOf(blob) {
+  const type = blob.type.split(';')[0];
+  return {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+  }[type] || 'ico';
+}
+
+// Wiki.js stores asset names in lowercase without special characters
+function safeName(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,219 @@
+/**
+ * @file link-queue.js
+ * @description Queue for links that could not be added while the wiki was unreachable
+ * @version 1.67
+ */
+
+import { WikiNetworkError } from './graphql-client.js';
+import { commitPageChange } from './page-commit.js';
+import { listProfiles, getActiveProfileId, getProfileSettings } from './profiles.js';
+import { localePageIds } from './locale-pages.js';
+import { t } from './i18n.js';
+
+const QUEUE_KEY = 'linkQueue';
+
+// Set while a flush runs, so the service worker and the popup do not flush at the same time
+const FLUSH_LOCK_KEY = 'linkQueueFlush';
+
+// A flush that did not finish within this time (closed popup, stopped service worker) no longer blocks
+const FLUSH_LOCK_TIMEOUT = 2 * 60 * 1000;
+
+// Name of the alarm that retries queued links (see background.js)
+export const FLUSH_ALARM = 'flush-link-queue';
+
+// Minutes between two retries
+export const FLUSH_INTERVAL = 5;
+
+/**
+ * Queues a link for adding it later
+ * @param {Object} tabInfo - Link data (url, title, host, iconUrl and optional page metadata)
+ * @param {string} categoryKey - Target category
+ * @param {string} categoryName - Name of the target category, for display
+ * @param {number|string} pageId - Target page
+ * @returns {Promise<Object>} The queued item (for the active profile)
+ */
+export async function enqueueLink(tabInfo, categoryKey, categoryName, pageId) {
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    tab: { ...tabInfo },
+    categoryKey,
+    categoryName: categoryName || categoryKey,
+    pageId: Number(pageId),
+    profileId: await getActiveProfileId(),
+    queuedAt: new Date().toISOString(),
+    error: null
+  };
+
+  const queue = await listQueuedLinks();
+  queue.push(item);
+  await saveQueue(queue);
+  return item;
+}
+
+/**
+ * Lists all queued links, oldest first
+ * @returns {Promise<Array<Object>>} Queued items
+ */
+export async function listQueuedLinks() {
+  const result = await chrome.storage.local.get({ [QUEUE_KEY]: [] });
+  return Array.isArray(result[QUEUE_KEY]) ? result[QUEUE_KEY] : [];
+}
+
+/**
+ * Removes a queued link without adding it
+ * @param {string} id - Queue item ID
+ */
+export async function discardQueuedLink(id) {
+  const queue = await listQueuedLinks();
+  await saveQueue(queue.filter(item => item.id !== id));
+}
+
+/**
+ * Adds all queued links in a single page update per profile and page
+ *
+ * Every profile's links go to the pages that are configured in that profile
+ * (the main page and its locale variants).
+ * Links that are already on the page are dropped. Links whose category, page or
+ * profile no longer exists, or whose profile has no endpoint or token, stay in the
+ * queue with an error until they are discarded.
+ *
+ * Only one flush runs at a time; while another one runs, nothing is added.
+ *
+ * @returns {Promise<Object>} { added, pending, offline, busy } - counts after the attempt,
+ *   busy if another flush was running
+ * @throws {Error} The first error that was not caused by an unreachable wiki
+ */
+export async function flushLinkQueue() {
+  const lock = await acquireFlushLock();
+  if (!lock) {
+    return { added: 0, pending: (await listQueuedLinks()).length, offline: false, busy: true };
+  }
+
+  try {
+    return await flushQueuedLinks();
+  } finally {
+    await releaseFlushLock(lock);
+  }
+}
+
+async function flushQueuedLinks() {
+  const queue = await listQueuedLinks();
+  const activeId = await getActiveProfileId();
+  const profileIds = (await listProfiles()).map(profile => profile.id);
+
+  // Links queued before profiles existed belong to the active profile
+  const byProfile = new Map();
+  queue.forEach(item => {
+    const profileId = item.profileId || activeId;
+    if (!profileIds.includes(profileId)) {
+      item.error = t('queueProfileGone');
+      return;
+    }
+    if (!byProfile.has(profileId)) byProfile.set(profileId, []);
+    byProfile.get(profileId).push(item);
+  });
+
+  const done = new Set();
+  let added = 0;
+  let offline = false;
+  let failure = null;
+
+  for (const [profileId, profileItems] of byProfile) {
+    const settings = await getProfileSettings(profileId);
+    if (!settings.endpoint || !settings.token) {
+      profileItems.forEach(item => { item.error = t('queueProfileNotConfigured'); });
+      continue;
+    }
+
+    const pageIds = [...new Set(Object.values(localePageIds(settings)).map(Number))];
+    profileItems
+      .filter(item => !pageIds.includes(item.pageId))
+      .forEach(item => { item.error = t('queuePageGone', item.pageId); });
+
+    for (const pageId of pageIds) {
+      const items = profileItems.filter(item => item.pageId === pageId);
+      if (items.length === 0) continue;
+
+      try {
+        added += await addQueuedLinks(items, { ...settings, pageId }, profileId, done);
+      } catch (e) {
+        if (e instanceof WikiNetworkError) {
+          console.warn("Wiki not reachable, keeping queued links:", e.message);
+          offline = true;
+          continue;
+        }
+        // Keep the items, but show why they could not be added
+        items.forEach(item => { item.error = e.message; });
+        failure = failure || e;
+      }
+    }
+  }
+
+  // Re-read, so links queued or discarded while the pages were updated are neither lost nor restored
+  const errors = new Map(queue.map(item => [item.id, item.error]));
+  const remaining = (await listQueuedLinks())
+    .filter(item => !done.has(item.id))
+    .map(item => errors.has(item.id) ? { ...item, error: errors.get(item.id) } : item);
+  await saveQueue(remaining);
+  if (failure) throw failure;
+
+  return { added, pending: remaining.length, offline };
+}
+
+async function addQueuedLinks(items, { endpoint, token, pageId }, profileId, done) {
+  // Sorted again for every attempt - a re-fetched page may already have some of the links
+  const target = { endpoint, token, pageId, profileId };
+  const { result: { duplicateIds, addedItems } } = await commitPageChange(target, addQueuedLinksOperation, (contentManager) => {
+    const categoryKeys = contentManager.analyzer.extractCategories().map(cat => cat.key);
+    const sorted = { duplicateIds: [], addedItems: [] };
+
+    items.forEach(item => {
+      item.error = null;
+      if (contentManager.analyzer.findDuplicateLinks(item.tab.url).length > 0) {
+        sorted.duplicateIds.push(item.id);
+      } else if (!categoryKeys.includes(item.categoryKey)) {
+        item.error = t('queueCategoryGone', item.categoryName);
+      } else {
+        contentManager.addLinkToCategory(item.tab, item.categoryKey);
+        sorted.addedItems.push(item);
+      }
+    });
+    return sorted;
+  });
+
+  duplicateIds.forEach(id => done.add(id));
+  addedItems.forEach(item => done.add(item.id));
+  return addedItems.length;
+}
+
+// Journal name of a queue flush, after the links that were added
+function addQueuedLinksOperation({ addedItems }) {
+  return addedItems.length === 1 ? t('operationAddQueuedLink', addedItems[0].tab.title) : t('operationAddQueuedLinks', addedItems.length);
+}
+
+/**
+ * Takes the flush lock unless another flush holds it
+ * @returns {Promise<string|null>} Lock owner ID, null if another flush runs
+ */
+async function acquireFlushLock() {
+  const { [FLUSH_LOCK_KEY]: lock } = await chrome.storage.local.get(FLUSH_LOCK_KEY);
+  if (lock && Date.now() - lock.startedAt < FLUSH_LOCK_TIMEOUT) return null;
+
+  const owner = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await chrome.storage.local.set({ [FLUSH_LOCK_KEY]: { owner, startedAt: Date.now() } });
+
+  // Storage has no compare-and-set: if two flushes took the lock at once, the last write wins
+  const { [FLUSH_LOCK_KEY]: current } = await chrome.storage.local.get(FLUSH_LOCK_KEY);
+  return current?.owner === owner ? owner : null;
+}
+
+async function releaseFlushLock(owner) {
+  const { [FLUSH_LOCK_KEY]: lock } = await chrome.storage.local.get(FLUSH_LOCK_KEY);
+  if (lock?.owner === owner) {
+    await chrome.storage.local.remove(FLUSH_LOCK_KEY);
+  }
+}
+
+async function saveQueue(queue) {
+  await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+}
@@ -24,7 +24,9 @@
 
   // ============== SMALL UTILS ==============
   const qs = (s, r = document) => r.querySelector(s);
-  const ce = (t, o = {}) => Object.assign(document.createElement(t), o);
+  const ce = (tag, o = {}) => Object.assign(document.createElement(tag), o);
+  // Message from the extension's catalogs (_locales), see i18n.js - content scripts cannot import it
+  const t = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String)) || key;
   const ready = (fn) =>
     document.readyState === "loading"
       ? document.addEventListener("DOMContentLoaded", fn, { once: true })
@@ -33,26 +35,26 @@
   const DEBUG = true;
   const log = (...a) => DEBUG && console.log("[LiveEdit]", ...a);
 
-  // CORRECTED STORAGE FUNCTION
+  // Settings of the page the popup edits - the service worker resolves locale pages (see background.js)
   async function getSettings() {
     try {
       const result = await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
-          reject(new Error("Storage timeout"));
+          reject(new Error(t('liveEditStorageTimeout')));
         }, 5000);
 
-        chrome.storage.sync.get(['endpoint', 'token', 'locale', 'pageId'], (data) => {
+        chrome.runtime.sendMessage({ type: 'getPageSettings' }, (response) => {
           clearTimeout(timeout);
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
+          if (chrome.runtime.lastError || !response || response.error) {
+            reject(new Error(chrome.runtime.lastError?.message || response?.error || t('liveEditStorageTimeout')));
             return;
           }
-          resolve(data);
+          resolve(response.settings);
         });
       });
 
       if (!result.endpoint || !result.token) {
-        throw new Error("Endpoint/token missing (open options & save).");
+        throw new Error(t('liveEditConfigMissing'));
       }
       
       return {
@@ -67,90 +69,38 @@
     }
   }
 
-  // CORRECTED GRAPHQL FUNCTION WITH ABSOLUTE ENDPOINT
-  async function gql(query, variables) {
-    const settings = await getSettings();
-    let endpoint = settings.endpoint;
-    
-    // Convert relative path to absolute URL
-    if (endpoint.startsWith('/')) {
-      endpoint = window.location.origin + endpoint;
-    }
-    
-    if (DEBUG) log("→ gql", { endpoint, query: query.slice(0, 100) + '...', variables });
-    
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json", 
-        "Authorization": "Bearer " + settings.token 
-      },
-      body: JSON.stringify({ query, variables }),
-    });
+  // ============== GRAPHQL (shared client from graphql-client.js) ==============
+  let clientModule = null;
 
-    const text = await res.text();
-    if (DEBUG) log("← status", res.status, "body:", text.slice(0, 300));
-    
-    let json;
-    try {
-      json = JSON.parse(text);
-    } catch {
-      if ([400, 401, 403].includes(res.status)) {
-        throw new Error(`GraphQL ${res.status} — Check endpoint/token/syntax`);
-      }
-      throw new Error(`GraphQL Error (${res.status}): ${text.slice(0, 200)}`);
-    }
-    
-    if (json.errors) {
-      const msg = Array.isArray(json.errors)
-        ? json.errors.map((e) => e.message).join("; ")
-        : String(json.errors.message || "Unknown GraphQL error");
-      throw new Error(msg);
-    }
-    
-    return json.data;
+  // Content scripts cannot use static imports - load the module once on demand
+  function client() {
+    clientModule ||= import(chrome.runtime.getURL("graphql-client.js"));
+    return clientModule;
   }
 
-  // CORRECTED PAGE QUERY - EXACTLY LIKE IN POPUP.JS
-  const QUERY_GET_PAGE = `
-    query GetPage($id: Int!) {
-      pages {
-        single(id: $id) {
-          id
-          path
-          title
-          editor
-          content
-          description
-          isPrivate
-          isPublished
-          locale
-          tags {
-            id
-            tag
-            title
-          }
-          createdAt
-          updatedAt
-        }
-      }
-    }
-  `;
+  let contentModule = null;
+
+  // Structure analyzer of the extension (wiki-content.js), loaded like the client
+  function wikiContent() {
+    contentModule ||= import(chrome.runtime.getURL("wiki-content.js"));
+    return contentModule;
+  }
+
+  // Convert relative path to absolute URL
+  function absoluteEndpoint(endpoint) {
+    return endpoint.startsWith('/') ? window.location.origin + endpoint : endpoint;
+  }
 
   async function getPage() {
     const settings = await getSettings();
     
     if (!settings.pageId) {
-      throw new Error("No page ID configured. Please enter in extension options.");
+      throw new Error(t('liveEditNoPageId'));
     }
 
     try {
-      const data = await gql(QUERY_GET_PAGE, { id: settings.pageId });
-      const page = data?.pages?.single;
-      
-      if (!page) {
-        throw new Error(`Page with ID ${settings.pageId} not found`);
-      }
+      const { loadWikiPage } = await client();
+      const page = await loadWikiPage(absoluteEndpoint(settings.endpoint), settings.token, settings.pageId);
       
       log("✅ Page loaded:", page.id, "Content length:", page.content?.length || 0);
       return page;
@@ -160,71 +110,6 @@
     }
   }
 
-  // CORRECTED UPDATE MUTATION - EXACTLY LIKE IN POPUP.JS
-  const MUTATION_UPDATE_PAGE = `
-    mutation UpdatePage(
-      $id: Int!,
-      $content: String!,
-      $title: String,
-      $isPublished: Boolean,
-      $isPrivate: Boolean,
-      $locale: String,
-      $path: String,
-      $tags: [String]
-    ) {
-      pages {
-        update(
-          id: $id,
-          content: $content,
-          title: $title,
-          isPublished: $isPublished,
-          isPrivate: $isPrivate,
-          locale: $locale,
-          path: $path,
-          tags: $tags
-        ) {
-          responseResult {
-            succeeded
-            errorCode
-            message
-          }
-          page {
-            id
-            updatedAt
-          }
-        }
-      }
-    }
-  `;
-
-  // CORRECTED: Exactly like in reset-functions.js
-  async function updateWikiPage(endpoint, token, page, newContent) {
-    const currentPageDetails = page;
-    const tagStrings = Array.isArray(currentPageDetails.tags) 
-      ? currentPageDetails.tags.map(tag => (typeof tag === 'object' && tag.tag) ? tag.tag : String(tag)) 
-      : [];
-    
-    const variables = {
-      id: Number(currentPageDetails.id),
-      content: newContent,
-      title: currentPageDetails.title || "",
-      isPublished: currentPageDetails.isPublished !== undefined ? currentPageDetails.isPublished : true,
-      isPrivate: currentPageDetails.isPrivate || false,
-      locale: currentPageDetails.locale || "en",
-      path: currentPageDetails.path || "",
-      tags: tagStrings
-    };
-    
-    log("Updating with variables:", variables);
-    const result = await gql(MUTATION_UPDATE_PAGE, variables);
-    const responseResult = result?.pages?.update?.responseResult;
-    
-    if (!responseResult?.succeeded) { 
-      throw new Error(`Wiki Update Error: ${responseResult?.message || "Update failed"}`); 
-    }
-    return result;
-  }
-
   // ============== CONTENT HELPERS - CORRECTED WITH PROPER ID FORMAT ==============
   function buildSectionHTML({ title, accent = "accent-blue", body = "" }) {
     const timestamp = Date.now();
@@ -246,7 +131,7 @@
 <section class="section-card ${accent}" id="${id}">
   <header class="section-card__header">
     <div class="section-card__title">${title}</div>
-    <div class="section-card__meta">newly added</div>
+    <div class="section-card__meta">${t('liveEditNewlyAdded')}</div>
   </header>
   <div class="links">
     ${body}
@@ -279,12 +164,12 @@
   }
 
   function toast(msg, ok = true) {
-    let t = qs("#liveedit-toast");
-    if (!t) document.body.appendChild((t = ce("div", { id: "liveedit-toast" })));
-    t.className = ok ? "ok" : "err";
-    t.textContent = msg;
-    t.style.display = "block";
-    setTimeout(() => (t.style.display = "none"), 3000);
+    let el = qs("#liveedit-toast");
+    if (!el) document.body.appendChild((el = ce("div", { id: "liveedit-toast" })));
+    el.className = ok ? "ok" : "err";
+    el.textContent = msg;
+    el.style.display = "block";
+    setTimeout(() => (el.style.display = "none"), 3000);
   }
 
   function createBar() {
@@ -292,61 +177,86 @@
     injectStyles();
     const bar = ce("div", { id: "liveedit-bar" });
     bar.innerHTML = `
-      <strong style="margin-right:.4rem">Live&nbsp;Edit</strong>
-      <select id="le-container"><option value="development">Development</option><option value="productivity">Productivity</option></select>
-      <select id="le-accent"><option value="accent-blue">Blue</option><option value="accent-green">Green</option><option value="accent-purple">Purple</option><option value="accent-orange">Orange</option><option value="accent-teal">Teal</option></select>
-      <input id="le-title" type="text" placeholder="Title" style="min-width:14rem">
-      <button id="le-add">Insert Category</button>
-      <button id="le-save">Save + Publish</button>
-      <button id="le-close" title="Close">×</button>
+      <strong style="margin-right:.4rem">${t('liveEditTitle')}</strong>
+      <select id="le-container"></select>
+      <select id="le-accent"><option value="accent-blue">${t('accentBlue')}</option><option value="accent-green">${t('accentGreen')}</option><option value="accent-purple">${t('accentPurple')}</option><option value="accent-orange">${t('accentOrange')}</option><option value="accent-teal">${t('accentTeal')}</option></select>
+      <input id="le-title" type="text" placeholder="${t('liveEditTitlePlaceholder')}" style="min-width:14rem">
+      <button id="le-add">${t('liveEditInsertCategory')}</button>
+      <button id="le-save">${t('liveEditSavePublish')}</button>
+      <button id="le-close" title="${t('close')}">×</button>
     `;
     document.body.appendChild(bar);
     return bar;
   }
 
-  // ============== STATE & ACTIONS ==============
-  const MARKERS = {
-    development: "<!-- CONTAINER_DEVELOPMENT_CONTENT_END -->",
-    productivity: "<!-- CONTAINER_PRODUCTIVITY_CONTENT_END -->",
-  };
+  // Fills the container select with the containers of the loaded page
+  async function renderContainerOptions(content) {
+    const select = qs("#le-container");
+    if (!select) return;
+
+    const { WikiStructureAnalyzer } = await wikiContent();
+    const containers = new WikiStructureAnalyzer(content).extractContainers();
+    const selected = select.value;
+
+    select.replaceChildren(...containers.map(c => ce("option", { value: c.key, textContent: c.name })));
+    if (containers.some(c => c.key === selected)) select.value = selected;
+  }
 
+  // ============== STATE & ACTIONS ==============
   let loaded = null;        // { id, content }
   let working = "";         // Working string
   let lastSnippetId = null; // ID for verification
+  let added = [];           // Categories inserted since the last save
 
   async function ensureLoaded() {
     if (loaded) return loaded;
     const page = await getPage();
-    if (!page) throw new Error("Page not found");
+    if (!page) throw new Error(t('liveEditPageNotFound'));
     loaded = page;
     working = String(page.content || "");
+    await renderContainerOptions(working);
     return loaded;
   }
 
   async function actionAdd() {
     await ensureLoaded();
     const container = qs("#le-container").value;
+    if (!container) throw new Error(t('liveEditNoContainers'));
     const accent = qs("#le-accent").value;
-    const title = qs("#le-title").value.trim() || "New Category";
+    const title = qs("#le-title").value.trim() || t('liveEditNewCategory');
 
     const { id: snippetId, html, categoryKey } = buildSectionHTML({ title, accent });
     lastSnippetId = snippetId;
 
-    const marker = MARKERS[container] || MARKERS.development;
+    const marker = `<!-- CONTAINER_${container.toUpperCase()}_CONTENT_END -->`;
     const next = insertBeforeMarker(working, marker, html);
-    if (!next) throw new Error("Marker not found: " + marker);
+    if (!next) throw new Error(t('liveEditMarkerNotFound', marker));
     working = next;
 
     // Local preview
-    const hostId = container === "productivity" ? "productivity-container" : "development-container";
-    const host = document.getElementById(hostId) || document.body;
+    const host = document.getElementById(`${container}-container`) || document.body;
     const tmp = ce("div"); tmp.innerHTML = html;
     host.appendChild(tmp.firstElementChild);
 
-    // Add NEW category to extension structure
+    // Goes into the extension structure once the page is saved
+    added.push({
+      key: categoryKey,
+      name: title,
+      description: t('liveEditNewlyAdded'),
+      layout: 'cards', // live_edit always uses section-card
+      accent: accent.replace('accent-', ''), // 'accent-blue' → 'blue'
+      containerKey: container,
+      column: 0
+    });
+
+    toast(t('liveEditInserted'));
+  }
+
+  // Adds the saved categories to the structure the popup stored for the same page (local storage, see profiles.js)
+  async function storeAddedCategories() {
     try {
       const result = await new Promise((resolve, reject) => {
-        chrome.storage.sync.get(['categories'], (data) => {
+        chrome.storage.local.get(['categories'], (data) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
             return;
@@ -355,21 +265,14 @@
         });
       });
 
-      const categories = result.categories || [];
-      const newCategory = {
-        key: categoryKey,
-        name: title,
-        description: 'newly added',
-        layout: 'cards', // live_edit always uses section-card
-        accent: accent.replace('accent-', ''), // 'accent-blue' → 'blue'
-        containerKey: container,
-        column: 0
-      };
+      // Nothing cached yet - the popup reads the categories from the page when it syncs
+      if (!Array.isArray(result.categories)) return;
 
-      categories.push(newCategory);
+      const categories = result.categories.filter(cat => !added.some(a => a.key === cat.key));
+      categories.push(...added);
 
       await new Promise((resolve, reject) => {
-        chrome.storage.sync.set({ categories }, () => {
+        chrome.storage.local.set({ categories }, () => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
             return;
@@ -378,21 +281,19 @@
         });
       });
 
-      log("✅ Category added to extension structure:", categoryKey);
+      log("✅ Categories added to extension structure:", added.map(cat => cat.key));
     } catch (storageError) {
       log("⚠️ Storage update failed:", storageError.message);
-      // Not critical - category still works
+      // Not critical - "Test Connection" in the popup reads them from the page
     }
-
-    toast("Category locally inserted (not yet saved)");
   }
 
   async function actionSave() {
     const page = await ensureLoaded();
     const settings = await getSettings();
     
-    // CORRECTED: Use same function as reset-functions.js
-    await updateWikiPage(settings.endpoint, settings.token, page, working);
+    const { updateWikiPage } = await client();
+    await updateWikiPage(absoluteEndpoint(settings.endpoint), settings.token, page, working);
 
     // Verification - reload page and check
     const after = await getPage();
@@ -400,14 +301,16 @@
                (typeof after?.content === "string" && after.content.length >= working.length - 10);
 
     if (!ok) {
-      throw new Error("Server did not accept the block. Check network tab for details.");
+      throw new Error(t('liveEditNotAccepted'));
     }
 
-    toast("Saved & published", true);
+    if (added.length > 0) await storeAddedCategories();
+    toast(t('liveEditSaved'), true);
     
     // Reset for next round
     loaded = null;
     working = "";
+    added = [];
   }
 
   function mount() {
@@ -0,0 +1,90 @@
+/**
+ * @file locale-pages.js
+ * @description Parallel link pages per Wiki.js locale (e.g. /en/links and /de/links)
+ * @version 1.67
+ *
+ * The page in "pageId" belongs to the configured "locale". Pages of further
+ * locales are stored in "localePages" ({ de: "12" }). "localeSource" decides
+ * which of them is edited: the page of the configured locale, or the page in
+ * the browser's language if there is one.
+ */
+
+export const LOCALE_SOURCES = ['configured', 'browser'];
+
+const PAGE_DEFAULTS = { endpoint: "", token: "", locale: "en", pageId: "", localePages: {}, localeSource: "configured" };
+
+/**
+ * Normalizes a locale code ("de_DE" -> "de-de")
+ * @param {string} locale - Locale code
+ * @returns {string} Normalized code, empty for no locale
+ */
+export function normalizeLocale(locale) {
+  return String(locale || "").trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Page IDs of all locale variants, including the configured page
+ * @param {Object} settings - Settings with locale, pageId and localePages
+ * @returns {Object} Page ID per locale ({ en: "5", de: "12" })
+ */
+export function localePageIds(settings) {
+  const pages = {};
+  Object.entries(settings.localePages || {}).forEach(([locale, pageId]) => {
+    if (normalizeLocale(locale) && pageId) pages[normalizeLocale(locale)] = String(pageId);
+  });
+
+  // The configured page always wins for its own locale
+  if (settings.pageId) pages[normalizeLocale(settings.locale) || 'en'] = String(settings.pageId);
+  return pages;
+}
+
+/**
+ * Browser language, if one of the locales matches it
+ * @param {Array<string>} locales - Available locales
+ * @returns {string|null} Matching locale ("de-ch" matches "de-ch", then "de")
+ */
+export function browserLocale(locales) {
+  const language = normalizeLocale(chrome.i18n.getUILanguage());
+  if (locales.includes(language)) return language;
+
+  const base = language.split('-')[0];
+  return locales.includes(base) ? base : null;
+}
+
+/**
+ * Locale whose page is edited
+ * @param {Object} settings - Settings with locale, pageId, localePages and localeSource
+ * @returns {string} Locale code
+ */
+export function resolvePageLocale(settings) {
+  const configured = normalizeLocale(settings.locale) || 'en';
+  if (settings.localeSource !== 'browser') return configured;
+  return browserLocale(Object.keys(localePageIds(settings))) || configured;
+}
+
+/**
+ * Stored settings with "locale" and "pageId" of the page that is edited
+ *
+ * Use this instead of reading pageId from the storage directly.
+ * The configured locale stays available as "configuredLocale", the pages
+ * of the other locales are listed in "localeVariants" ([{ locale, pageId }]).
+ *
+ * @param {Object} [defaults] - Further settings to read, with their defaults
+ * @returns {Promise<Object>} Settings
+ */
+export async function getPageSettings(defaults = {}) {
+  const settings = await chrome.storage.sync.get({ ...PAGE_DEFAULTS, ...defaults });
+  const locale = resolvePageLocale(settings);
+  const pages = localePageIds(settings);
+  const pageId = pages[locale] || settings.pageId;
+
+  return {
+    ...settings,
+    configuredLocale: settings.locale,
+    locale,
+    pageId,
+    localeVariants: Object.entries(pages)
+      .filter(([, id]) => id !== String(pageId))
+      .map(([variantLocale, id]) => ({ locale: variantLocale, pageId: id }))
+  };
+}
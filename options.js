@@ -4,6 +4,13 @@
  * @version 1.67
  */
 
+import { loadWikiPage, loadWikiPageByPath, findWikiPages, createWikiPage } from './graphql-client.js';
+import { HTML_TEMPLATES, MARKDOWN_TEMPLATES, WikiStructureAnalyzer, editorWarning, parseTags, resolveContentFormat, convertContent } from './wiki-content.js';
+import { generateDemoTemplate } from './demo-template.js';
+import { listProfiles, getActiveProfileId, switchProfile, createProfile, renameProfile, deleteProfile, saveActiveProfile, exportProfiles, importProfiles, getCachedStructure, setCachedStructure } from './profiles.js';
+import { getPageSettings, normalizeLocale } from './locale-pages.js';
+import { t, localizePage } from './i18n.js';
+
 // ===== DOM HELPER FUNCTIONS =====
 const $ = (sel) => document.querySelector(sel);
 const out = $("#out");
@@ -18,87 +25,159 @@ function log(msg) {
   console.log("OPTIONS LOG:", msg);
 }
 
-// ===== GRAPHQL HELPER FUNCTION =====
+// ===== CONFIGURATION MANAGEMENT =====
 
 /**
- * Executes a GraphQL query (consistent with popup.js)
- * @param {string} endpoint - GraphQL endpoint URL
- * @param {string} token - Bearer token for authentication
- * @param {string} query - GraphQL query string
- * @param {Object} variables - Query variables
- * @returns {Promise<Object>} GraphQL response data
+ * Loads configuration from Chrome storage
  */
-async function executeGraphQL(endpoint, token, query, variables) {
-  console.log("GraphQL Request:", { endpoint, query, variables });
-  
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...(token ? { "Authorization": `Bearer ${token}` } : {})
-    },
-    body: JSON.stringify({ query, variables })
+async function load() {
+  const cfg = await chrome.storage.sync.get({
+    endpoint: "",
+    token: "",
+    locale: "en",
+    pageId: "",
+    outputFormat: "auto",
+    markdownClasses: true,
+    snapshotLimit: 10,
+    shortcutTarget: "last",
+    defaultCategory: "",
+    faviconStrategy: "service",
+    previewStrategy: "service",
+    localePages: {},
+    localeSource: "configured",
+    addToAllLocales: false
   });
+  const { categories } = await getCachedStructure();
+  $("#endpoint").value = cfg.endpoint;
+  $("#token").value = cfg.token;
+  $("#locale").value = cfg.locale;
+  $("#pageId").value = cfg.pageId;
+  $("#localePages").value = formatLocalePages(cfg.localePages);
+  $("#localeSource").value = cfg.localeSource;
+  $("#addToAllLocales").value = String(cfg.addToAllLocales);
+  $("#outputFormat").value = cfg.outputFormat;
+  $("#markdownClasses").value = String(cfg.markdownClasses);
+  $("#snapshotLimit").value = cfg.snapshotLimit;
+  $("#shortcutTarget").value = cfg.shortcutTarget;
+  $("#faviconStrategy").value = cfg.faviconStrategy;
+  $("#previewStrategy").value = cfg.previewStrategy;
+  renderCategoryOptions(categories, cfg.defaultCategory);
+  $("#pageInfo").textContent = "";
+  $("#pageResults").style.display = 'none';
+  await renderProfiles();
+  await showShortcut();
+  log("");
+}
+
+// ===== PROFILES =====
 
-  const responseText = await response.text();
-  console.log("GraphQL Raw Response:", responseText);
+/**
+ * Fills the profile select and the name field with the active profile
+ */
+async function renderProfiles() {
+  const profiles = await listProfiles();
+  const active = await getActiveProfileId();
+  const select = $("#profileSelect");
   
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status} — ${response.statusText}: ${responseText}`);
-  }
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
   
-  let json = {};
+  select.value = active;
+  $("#profileName").value = profiles.find(profile => profile.id === active)?.name || "";
+  $("#deleteProfile").disabled = profiles.length <= 1;
+}
+
+/**
+ * Activates the selected profile and shows its settings
+ */
+async function selectProfile() {
   try {
-    json = JSON.parse(responseText);
+    await switchProfile($("#profileSelect").value);
+    await load();
   } catch (e) {
-    throw new Error(`Invalid JSON response: ${responseText.slice(0, 200)}`);
+    log(t('errorMessage', e.message));
   }
-  
-  if (json.errors && Array.isArray(json.errors) && json.errors.length > 0) {
-    const errorMessages = json.errors.map(e => e.message || String(e)).join("; ");
-    throw new Error(`GraphQL Error: ${errorMessages}`);
+}
+
+/**
+ * Adds an empty profile with the entered name and activates it
+ */
+async function addProfile() {
+  try {
+    const name = $("#profileName").value;
+    const id = await createProfile(name);
+    await switchProfile(id);
+    await load();
+    log(t('optionsProfileAdded', name.trim()));
+  } catch (e) {
+    log(t('errorMessage', e.message));
   }
-  
-  return json.data || json;
 }
 
-// Query for page testing
-const QUERY_GET_PAGE = `
-  query GetPage($id: Int!) {
-    pages {
-      single(id: $id) {
-        id
-        path
-        title
-        editor
-        content
-        tags {
-          id
-          tag
-          title
-        }
-      }
-    }
+/**
+ * Renames the active profile to the entered name
+ */
+async function renameActiveProfile() {
+  try {
+    const name = $("#profileName").value;
+    await renameProfile(await getActiveProfileId(), name);
+    await renderProfiles();
+    log(t('optionsProfileRenamed', name.trim()));
+  } catch (e) {
+    log(t('errorMessage', e.message));
   }
-`;
+}
 
-// ===== CONFIGURATION MANAGEMENT =====
+/**
+ * Deletes the active profile after confirmation
+ */
+async function deleteActiveProfile() {
+  const profiles = await listProfiles();
+  const activeId = await getActiveProfileId();
+  const active = profiles.find(profile => profile.id === activeId);
+  if (!confirm(t('optionsConfirmDeleteProfile', active.name))) return;
+  
+  try {
+    await deleteProfile(active.id);
+    await load();
+    log(t('optionsProfileDeleted', active.name));
+  } catch (e) {
+    log(t('errorMessage', e.message));
+  }
+}
 
 /**
- * Loads configuration from Chrome storage
+ * Fills the default category select with the categories stored by the popup
+ * @param {Array<Object>} categories - Stored categories
+ * @param {string} selected - Key of the selected category
  */
-async function load() {
-  const cfg = await chrome.storage.sync.get({
-    endpoint: "",
-    token: "",
-    locale: "en",
-    pageId: ""
+function renderCategoryOptions(categories, selected) {
+  const select = $("#defaultCategory");
+  select.innerHTML = '';
+  select.appendChild(new Option(t('selectCategoryOption'), ''));
+  
+  categories.forEach(cat => {
+    const option = document.createElement('option');
+    option.value = cat.key;
+    option.textContent = cat.name;
+    select.appendChild(option);
   });
-  $("#endpoint").value = cfg.endpoint;
-  $("#token").value = cfg.token;
-  $("#locale").value = cfg.locale;
-  $("#pageId").value = cfg.pageId;
-  log("");
+  
+  select.value = selected || "";
+}
+
+/**
+ * Shows the key currently assigned to the "add current tab" shortcut
+ */
+async function showShortcut() {
+  const commands = await chrome.commands.getAll();
+  const command = commands.find(c => c.name === 'add-current-tab');
+  $("#shortcutKey").textContent = command?.shortcut || t('optionsShortcutNotSet');
 }
 
 /**
@@ -107,27 +186,316 @@ async function load() {
 async function save() {
   const endpoint = $("#endpoint").value.trim();
   const token    = $("#token").value.trim();
-  const locale   = $("#locale").value.trim() || "en";
-  const pageId   = $("#pageId").value.trim();
+  let locale     = $("#locale").value.trim() || "en";
+  const pageInput = $("#pageId").value.trim();
+  const outputFormat = $("#outputFormat").value;
+  const markdownClasses = $("#markdownClasses").value === "true";
+  const snapshotLimit = Number($("#snapshotLimit").value);
+  const shortcutTarget = $("#shortcutTarget").value;
+  const defaultCategory = $("#defaultCategory").value;
+  const faviconStrategy = $("#faviconStrategy").value;
+  const previewStrategy = $("#previewStrategy").value;
+  const localeSource = $("#localeSource").value;
+  const addToAllLocales = $("#addToAllLocales").value === "true";
 
   // Validation
   if (!endpoint) {
-    log("❌ Error: GraphQL endpoint is required");
+    log(t('errorMessage', t('optionsEndpointRequired')));
     return;
   }
   
   if (!token) {
-    log("❌ Error: API token is required");
+    log(t('errorMessage', t('optionsTokenRequired')));
     return;
   }
   
-  if (!pageId || isNaN(Number(pageId))) {
-    log("❌ Error: Page ID must be a number");
+  if (!pageInput) {
+    log(t('errorMessage', t('optionsPageRequired')));
     return;
   }
+  
+  if (!Number.isInteger(snapshotLimit) || snapshotLimit < 1 || snapshotLimit > 50) {
+    log(t('errorMessage', t('optionsSnapshotLimitRange')));
+    return;
+  }
+  
+  if (shortcutTarget === "default" && !defaultCategory) {
+    log(t('errorMessage', t('optionsSelectDefaultCategory')));
+    return;
+  }
+
+  // Paths are resolved once, the ID stays valid when the page is moved
+  let pageId = pageInput;
+  let warning = null;
+  if (!/^\d+$/.test(pageInput)) {
+    try {
+      log(t('optionsLookingUpPage', pageInput));
+      // A pasted path like "/de/team/links" names its locale
+      const otherLocales = $("#localePages").value.split(',').map(entry => entry.split('=')[0].trim()).filter(Boolean);
+      const page = await loadWikiPageByPath(endpoint, token, pageInput, locale, otherLocales);
+      pageId = String(page.id);
+      warning = pageWarning(page);
+      if (page.locale) locale = page.locale;
+      $("#locale").value = locale;
+      $("#pageId").value = pageId;
+      showPageInfo(page);
+    } catch (e) {
+      log(t('errorMessage', e.message));
+      return;
+    }
+  }
+
+  let localePages;
+  try {
+    localePages = await readLocalePages(endpoint, token, locale);
+    $("#localePages").value = formatLocalePages(localePages);
+  } catch (e) {
+    log(t('errorMessage', e.message));
+    return;
+  }
+
+  await chrome.storage.sync.set({ endpoint, token, locale, pageId, localePages, localeSource, addToAllLocales, outputFormat, markdownClasses, snapshotLimit, shortcutTarget, defaultCategory, faviconStrategy, previewStrategy });
+  await saveActiveProfile();
+  log(t('optionsSaved') + (warning ? t('warningLine', warning) : ""));
+}
+
+// ===== PAGE PICKER =====
+
+/**
+ * Searches the wiki with the entered endpoint and token and lists the found pages
+ */
+async function searchPages() {
+  const endpoint = $("#endpoint").value.trim();
+  const token = $("#token").value.trim();
+  const locale = $("#locale").value.trim();
+  const results = $("#pageResults");
+  
+  try {
+    if (!endpoint || !token) {
+      throw new Error(t('optionsEnterEndpointToken'));
+    }
+    
+    log(t('optionsSearchingPages'));
+    const pages = await findWikiPages(endpoint, token, $("#pageSearch").value, locale);
+    
+    results.innerHTML = '';
+    pages.forEach(page => {
+      const option = document.createElement('option');
+      option.value = page.id;
+      option.textContent = t('optionsPageResult', page.title || page.path, page.locale, page.path, page.id);
+      results.appendChild(option);
+    });
+    results.style.display = pages.length > 0 ? 'block' : 'none';
+    
+    log(pages.length > 0 ? t('optionsPagesFound', pages.length) : t('optionsNoPagesFound'));
+    
+  } catch (e) {
+    console.error("Page search failed:", e);
+    log(t('errorMessage', e.message));
+  }
+}
+
+/**
+ * Uses the page selected in the results and checks its editor
+ */
+async function pickPage() {
+  const id = $("#pageResults").value;
+  if (!id) return;
+  
+  $("#pageId").value = id;
+  
+  try {
+    const page = await loadWikiPage($("#endpoint").value.trim(), $("#token").value.trim(), id);
+    showPageInfo(page);
+    const warning = pageWarning(page);
+    log(warning ? `⚠️ ${warning}` : t('optionsPageSelected', page.title));
+  } catch (e) {
+    log(t('errorMessage', e.message));
+  }
+}
+
+/**
+ * Shows title, path and editor of the chosen page below the picker
+ * @param {Object} page - Page data (id, title, path, locale, editor)
+ */
+function showPageInfo(page) {
+  const warning = pageWarning(page);
+  $("#pageInfo").textContent = t('optionsPageInfo', warning ? '⚠️' : '✅', page.title, page.locale, page.path, page.id, page.editor || t('unknown'));
+}
+
+/**
+ * Checks the page's editor against the output format chosen in the form
+ * @param {Object} page - Page data (editor, content if loaded)
+ * @returns {string|null} Warning, or null if the editor fits
+ */
+function pageWarning(page) {
+  return editorWarning(page.editor, resolveContentFormat(page, $("#outputFormat").value));
+}
+
+// ===== CREATE PAGE =====
+
+/**
+ * Creates a new link page with the entered endpoint and token and uses it in the active profile
+ */
+async function createLinkPage() {
+  const endpoint = $("#endpoint").value.trim();
+  const token = $("#token").value.trim();
+  const path = $("#newPagePath").value.trim().replace(/^\/+|\/+$/g, "");
+  const title = $("#newPageTitle").value.trim();
+  const locale = $("#newPageLocale").value.trim() || $("#locale").value.trim() || "en";
+  const editor = $("#newPageEditor").value;
+  
+  try {
+    if (!endpoint || !token) {
+      throw new Error(t('optionsEnterEndpointToken'));
+    }
+    if (!path || !title) {
+      throw new Error(t('optionsEnterPathTitle'));
+    }
+    
+    // A new page has no content yet - the output format follows the option or the chosen editor
+    const format = resolveContentFormat({ editor }, $("#outputFormat").value);
+    const classes = $("#markdownClasses").value === "true";
+    const templates = format === 'markdown' ? MARKDOWN_TEMPLATES : HTML_TEMPLATES;
+    const content = $("#newPageContent").value === "demo"
+      ? (format === 'markdown' ? convertContent(generateDemoTemplate(), { format, classes }) : generateDemoTemplate())
+      : templates.container('links', 2, 'Links', classes);
+    
+    log(t('optionsCreatingPage', `${locale}/${path}`));
+    const page = await createWikiPage(endpoint, token, {
+      path,
+      title,
+      locale,
+      editor,
+      tags: parseTags($("#newPageTags").value),
+      content
+    });
+    
+    // The new page replaces the page of the active profile, including its structure;
+    // the pages in other locales were copies of the old page
+    const analyzer = new WikiStructureAnalyzer(content);
+    const pageId = String(page.id);
+    const { localePages: oldLocalePages } = await chrome.storage.sync.get({ localePages: {} });
+    await chrome.storage.sync.set({
+      endpoint,
+      token,
+      locale,
+      pageId,
+      localePages: {},
+      lastCategory: "",
+      defaultCategory: ""
+    });
+    await setCachedStructure({ containers: analyzer.extractContainers(), categories: analyzer.extractCategories() });
+    await saveActiveProfile();
+    
+    $("#locale").value = locale;
+    $("#pageId").value = pageId;
+    $("#localePages").value = "";
+    renderCategoryOptions(analyzer.extractCategories(), "");
+    showPageInfo({ ...page, editor, content });
+    
+    const warning = editorWarning(editor, format);
+    const cleared = Object.keys(oldLocalePages).length > 0
+      ? `\n${t('optionsLocalePagesCleared', formatLocalePages(oldLocalePages))}`
+      : "";
+    log(t('optionsPageCreated', title, pageId, warning ? t('warningLine', warning) : "") + cleared);
+    
+  } catch (e) {
+    console.error("Creating page failed:", e);
+    log(t('errorMessage', e.message));
+  }
+}
+
+// ===== LOCALE PAGES =====
 
-  await chrome.storage.sync.set({ endpoint, token, locale, pageId });
-  log("✅ Saved.");
+/**
+ * Formats the locale pages for the input field
+ * @param {Object} localePages - Page ID per locale
+ * @returns {string} e.g. "de=12, fr=15"
+ */
+function formatLocalePages(localePages) {
+  return Object.entries(localePages || {}).map(([locale, pageId]) => `${locale}=${pageId}`).join(', ');
+}
+
+/**
+ * Reads the locale pages from the input field; paths are resolved in their locale
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - API token
+ * @param {string} locale - Locale of the main page
+ * @returns {Promise<Object>} Page ID per locale
+ * @throws {Error} For invalid entries and pages that do not exist
+ */
+async function readLocalePages(endpoint, token, locale) {
+  const localePages = {};
+  const entries = $("#localePages").value.split(',').map(entry => entry.trim()).filter(Boolean);
+  
+  for (const entry of entries) {
+    const match = entry.match(/^([a-z]{2,3}(?:[-_][a-z0-9]+)?)\s*=\s*(\S+)$/i);
+    if (!match) {
+      throw new Error(t('optionsInvalidLocalePage', entry));
+    }
+    
+    const pageLocale = normalizeLocale(match[1]);
+    if (pageLocale === normalizeLocale(locale)) {
+      throw new Error(t('optionsLocalePageIsMain', pageLocale));
+    }
+    
+    let pageId = match[2];
+    if (!/^\d+$/.test(pageId)) {
+      log(t('optionsLookingUpPage', `${pageLocale}/${pageId}`));
+      pageId = String((await loadWikiPageByPath(endpoint, token, pageId, pageLocale)).id);
+    }
+    localePages[pageLocale] = pageId;
+  }
+  return localePages;
+}
+
+/**
+ * Copies the saved page with its links to the same path in another locale
+ * and adds the copy to the locale pages
+ */
+async function createLocaleVariant() {
+  const variantLocale = normalizeLocale($("#variantLocale").value);
+  
+  try {
+    const { endpoint, token, locale, pageId, localePages } = await chrome.storage.sync.get({ endpoint: "", token: "", locale: "en", pageId: "", localePages: {} });
+    
+    if (!endpoint || !token || !pageId) {
+      throw new Error(t('optionsSaveBeforeVariant'));
+    }
+    if (!/^[a-z]{2,3}(-[a-z0-9]+)?$/.test(variantLocale)) {
+      throw new Error(t('optionsEnterVariantLocale'));
+    }
+    if (variantLocale === normalizeLocale(locale) || localePages[variantLocale]) {
+      throw new Error(t('optionsVariantExists', variantLocale));
+    }
+    
+    const page = await loadWikiPage(endpoint, token, pageId);
+    log(t('optionsCreatingPage', `${variantLocale}/${page.path}`));
+    
+    // Same path, title and content - the category names can be translated afterwards
+    const copy = await createWikiPage(endpoint, token, {
+      path: page.path,
+      title: page.title,
+      locale: variantLocale,
+      editor: page.editor,
+      tags: (page.tags || []).map(tag => typeof tag === 'object' ? tag.tag : tag),
+      description: page.description || "",
+      content: page.content
+    });
+    
+    const updated = { ...localePages, [variantLocale]: String(copy.id) };
+    await chrome.storage.sync.set({ localePages: updated });
+    await saveActiveProfile();
+    
+    $("#localePages").value = formatLocalePages(updated);
+    $("#variantLocale").value = "";
+    log(t('optionsVariantCreated', page.title, variantLocale, copy.id));
+    
+  } catch (e) {
+    console.error("Creating locale page failed:", e);
+    log(t('errorMessage', e.message));
+  }
 }
 
 /**
@@ -135,45 +503,45 @@ async function save() {
  */
 async function test() {
   try {
-    log("Testing connection...");
+    log(t('optionsTesting'));
     
-    const { endpoint, token, pageId } = await chrome.storage.sync.get();
+    const { endpoint, token, pageId, locale, localeVariants } = await getPageSettings();
     
     if (!endpoint || !token || !pageId) {
-      throw new Error("Please enter endpoint, token and page ID.");
+      throw new Error(t('optionsEnterEndpointTokenPage'));
     }
 
     const id = Number(pageId);
     if (isNaN(id) || id <= 0) {
-      throw new Error("Page ID must be a positive number.");
+      throw new Error(t('optionsPageIdPositive'));
     }
 
-    log("Testing GraphQL query...");
+    log(t('optionsTestingQuery'));
     
-    const data = await executeGraphQL(endpoint, token, QUERY_GET_PAGE, { id });
-    const page = data?.pages?.single;
-
-    if (!page) {
-      throw new Error(`Page with ID ${id} not found. Please check the page ID.`);
-    }
+    const page = await loadWikiPage(endpoint, token, id);
+    const warning = pageWarning(page);
+    showPageInfo(page);
     
     // Display tags correctly
     const tagInfo = Array.isArray(page.tags) && page.tags.length > 0 
       ? page.tags.map(tag => typeof tag === 'object' ? tag.tag : tag).join(', ')
-      : 'none';
+      : t('none');
     
-    log(`✅ Connection successful!
-
-Page: "${page.title}"
-ID: ${page.id}
-Editor: ${page.editor || 'unknown'}
-Path: ${page.path || 'unknown'}
-Tags: ${tagInfo}
-Content: ${page.content ? `${page.content.length} characters` : 'empty'}`);
+    log(t('optionsConnectionSuccess',
+      page.title,
+      page.id,
+      page.editor || t('unknown'),
+      resolveContentFormat(page, $("#outputFormat").value) === 'markdown' ? 'Markdown' : 'Raw HTML',
+      page.path || t('unknown'),
+      tagInfo,
+      page.content ? t('optionsCharacters', page.content.length) : t('optionsEmpty'),
+      warning ? t('warningLine', warning) : '') + (localeVariants.length > 0
+      ? t('optionsLocaleTargetLine', locale, localeVariants.map(variant => `${variant.locale}=${variant.pageId}`).join(', '))
+      : ''));
     
   } catch (e) {
     console.error("Connection test failed:", e);
-    log(`❌ Error: ${e.message}`);
+    log(t('errorMessage', e.message));
   }
 }
 
@@ -184,23 +552,34 @@ Content: ${page.content ? `${page.content.length} characters` : 'empty'}`);
  */
 async function exportConfig() {
   try {
-    log("Exporting configuration...");
+    log(t('optionsExporting'));
     
     // Get current configuration
-    const config = await chrome.storage.sync.get({
+    const settings = await chrome.storage.sync.get({
       endpoint: "",
       token: "",
       locale: "en",
       pageId: "",
-      containers: [],
-      categories: []
+      outputFormat: "auto",
+      markdownClasses: true,
+      snapshotLimit: 10,
+      shortcutTarget: "last",
+      defaultCategory: "",
+      faviconStrategy: "service",
+      previewStrategy: "service",
+      localePages: {},
+      localeSource: "configured",
+      addToAllLocales: false
     });
+    const config = { ...settings, ...await getCachedStructure() };
     
     // Create export object with metadata
+    // config holds the active profile, so older versions can still import the file
     const exportData = {
       version: "1.67",
       exportDate: new Date().toISOString(),
-      config: config
+      config: config,
+      profiles: await exportProfiles()
     };
     
     // Create JSON file
@@ -219,11 +598,11 @@ async function exportConfig() {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
-    log(`✅ Configuration exported as: ${a.download}`);
+    log(t('optionsExported', a.download));
     
   } catch (error) {
     console.error("Export failed:", error);
-    log(`❌ Export failed: ${error.message}`);
+    log(t('optionsExportFailed', error.message));
   }
 }
 
@@ -246,7 +625,7 @@ async function handleFileImport(event) {
       return;
     }
     
-    log("Importing configuration...");
+    log(t('optionsImporting'));
     
     // Read file as text
     const text = await file.text();
@@ -256,69 +635,117 @@ async function handleFileImport(event) {
     try {
       importData = JSON.parse(text);
     } catch (e) {
-      throw new Error("Invalid JSON file");
+      throw new Error(t('optionsInvalidJson'));
     }
     
     // Validate data structure
     if (!importData.config) {
-      throw new Error("Invalid configuration file - 'config' object missing");
+      throw new Error(t('optionsConfigMissing'));
     }
     
     const config = importData.config;
     
+    if (Array.isArray(importData.profiles)) {
+      await importProfileConfig(importData);
+      event.target.value = '';
+      return;
+    }
+    
     // Validate required fields
     if (!config.endpoint || !config.token || !config.pageId) {
-      throw new Error("Incomplete configuration - endpoint, token or page ID missing");
+      throw new Error(t('optionsConfigIncomplete'));
     }
     
     // Validate page ID
     if (isNaN(Number(config.pageId))) {
-      throw new Error("Invalid page ID");
+      throw new Error(t('optionsInvalidPageId'));
     }
     
-    // Save configuration to storage
+    // Save configuration to storage (into the active profile)
     await chrome.storage.sync.set({
       endpoint: config.endpoint,
       token: config.token,
       locale: config.locale || "en",
       pageId: config.pageId,
-      containers: config.containers || [],
-      categories: config.categories || []
+      localePages: config.localePages || {},
+      localeSource: config.localeSource || "configured",
+      addToAllLocales: config.addToAllLocales ?? false,
+      outputFormat: config.outputFormat || "auto",
+      markdownClasses: config.markdownClasses ?? true,
+      snapshotLimit: config.snapshotLimit || 10,
+      shortcutTarget: config.shortcutTarget || "last",
+      defaultCategory: config.defaultCategory || "",
+      faviconStrategy: config.faviconStrategy || "service",
+      previewStrategy: config.previewStrategy || "service"
     });
+    await setCachedStructure({ containers: config.containers || [], categories: config.categories || [] });
+    await saveActiveProfile();
     
     // Update UI fields
     $("#endpoint").value = config.endpoint;
     $("#token").value = config.token;
     $("#locale").value = config.locale || "en";
     $("#pageId").value = config.pageId;
+    $("#localePages").value = formatLocalePages(config.localePages);
+    $("#localeSource").value = config.localeSource || "configured";
+    $("#addToAllLocales").value = String(config.addToAllLocales ?? false);
+    $("#outputFormat").value = config.outputFormat || "auto";
+    $("#markdownClasses").value = String(config.markdownClasses ?? true);
+    $("#snapshotLimit").value = config.snapshotLimit || 10;
+    $("#shortcutTarget").value = config.shortcutTarget || "last";
+    $("#faviconStrategy").value = config.faviconStrategy || "service";
+    $("#previewStrategy").value = config.previewStrategy || "service";
+    renderCategoryOptions(config.categories || [], config.defaultCategory);
     
     // Success info
     const containerCount = (config.containers || []).length;
     const categoryCount = (config.categories || []).length;
     
-    log(`✅ Configuration imported!
-
-Endpoint: ${config.endpoint}
-Page ID: ${config.pageId}
-Locale: ${config.locale || "en"}
-Containers: ${containerCount}
-Categories: ${categoryCount}
-Export Date: ${importData.exportDate ? new Date(importData.exportDate).toLocaleString('en-US') : 'unknown'}
-
-Configuration has been automatically saved.`);
+    log(t('optionsImported',
+      config.endpoint,
+      config.pageId,
+      config.locale || "en",
+      containerCount,
+      categoryCount,
+      importData.exportDate ? new Date(importData.exportDate).toLocaleString() : t('unknown')));
     
     // Reset file input
     event.target.value = '';
     
   } catch (error) {
     console.error("Import failed:", error);
-    log(`❌ Import failed: ${error.message}`);
+    log(t('optionsImportFailed', error.message));
     
     // Reset file input
     event.target.value = '';
   }
 }
 
+/**
+ * Imports a configuration file with profiles
+ * @param {Object} importData - Parsed configuration file
+ */
+async function importProfileConfig(importData) {
+  const config = importData.config;
+  const count = await importProfiles(importData.profiles);
+  
+  // Settings shared by all profiles
+  await chrome.storage.sync.set({
+    snapshotLimit: config.snapshotLimit || 10,
+    shortcutTarget: config.shortcutTarget || "last",
+    faviconStrategy: config.faviconStrategy || "service",
+    previewStrategy: config.previewStrategy || "service"
+  });
+  
+  await load();
+  
+  log(t('optionsProfilesImported',
+    importData.profiles.map(profile => profile.name).join(', '),
+    count,
+    $("#profileSelect").selectedOptions?.[0]?.textContent || t('unknown'),
+    importData.exportDate ? new Date(importData.exportDate).toLocaleString() : t('unknown')));
+}
+
 // ===== EVENT LISTENERS =====
 document.addEventListener("DOMContentLoaded", () => {
   // Initialize out element reference
@@ -330,6 +757,8 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
   
+  localizePage();
+  
   // Load saved configuration
   load();
   
@@ -349,5 +778,46 @@ document.addEventListener("DOMContentLoaded", () => {
   if (importBtn) importBtn.addEventListener("click", importConfig);
   if (fileInput) fileInput.addEventListener("change", handleFileImport);
   
+  // Page picker
+  const searchPagesBtn = document.getElementById("searchPages");
+  const pageSearch = document.getElementById("pageSearch");
+  const pageResults = document.getElementById("pageResults");
+  
+  if (searchPagesBtn) searchPagesBtn.addEventListener("click", searchPages);
+  if (pageSearch) {
+    pageSearch.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") searchPages();
+    });
+  }
+  if (pageResults) pageResults.addEventListener("change", pickPage);
+  
+  // Create page
+  const createPageBtn = document.getElementById("createPage");
+  if (createPageBtn) createPageBtn.addEventListener("click", createLinkPage);
+  
+  // Locale pages
+  const createVariantBtn = document.getElementById("createVariant");
+  if (createVariantBtn) createVariantBtn.addEventListener("click", createLocaleVariant);
+  
+  // Profiles
+  const profileSelect = document.getElementById("profileSelect");
+  const addProfileBtn = document.getElementById("addProfile");
+  const renameProfileBtn = document.getElementById("renameProfile");
+  const deleteProfileBtn = document.getElementById("deleteProfile");
+  
+  if (profileSelect) profileSelect.addEventListener("change", selectProfile);
+  if (addProfileBtn) addProfileBtn.addEventListener("click", addProfile);
+  if (renameProfileBtn) renameProfileBtn.addEventListener("click", renameActiveProfile);
+  if (deleteProfileBtn) deleteProfileBtn.addEventListener("click", deleteActiveProfile);
+  
+  // Shortcut keys can only be changed on Chrome's own page
+  const openShortcuts = document.getElementById("openShortcuts");
+  if (openShortcuts) {
+    openShortcuts.addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+  }
+  
   console.log("OPTIONS LOG: Options page with Import/Export loaded and configured");
 });
\ No newline at end of file
@@ -0,0 +1,359 @@
+/**
+ * @file page-check.js
+ * @description Structure check and repair of the link page ("Check Page" in the popup)
+ * @version 1.67
+ *
+ * The extension finds containers, categories and links by their comment markers.
+ * checkPageStructure lists what is broken, repairPageStructure writes the page
+ * back with one marker of each kind in the right place.
+ */
+
+import {
+  WikiContentManager, detectContentFormat, repairHtmlStructure,
+  parseHtmlStructure, serializeHtmlStructure
+} from './wiki-content.js';
+import { t } from './i18n.js';
+
+// Name of the container that receives categories if the page has none
+const FALLBACK_CONTAINER = { key: 'links', name: 'Links', columns: 2 };
+
+const CONTAINER_MARKER = /^\s*CONTAINER_(\S+?)_CONTENT_(?:START|END)\s*$/;
+const LINKS_MARKER = /^\s*(\S+)_LINKS_END\s*$/;
+
+/**
+ * Checks the containers, categories and links of a page
+ *
+ * Finds missing, duplicate and stray comment markers, duplicate container and
+ * category keys, categories outside of all containers and links without a usable address.
+ * HTML pages are read with DOMParser, so this only works in the popup and options page.
+ *
+ * @param {string} content - Page content (HTML or Markdown)
+ * @returns {Array<{message: string, repairable: boolean}>} Problems, empty if the page is fine
+ */
+export function checkPageStructure(content) {
+  const text = String(content || "");
+  const format = detectContentFormat(text);
+  if (!format) return [];
+
+  const problems = format === 'markdown' ? checkMarkdown(text) : checkHtml(text);
+
+  // The same problem can be found from both sides (e.g. a marker in two containers)
+  return problems.filter((problem, index) => problems.findIndex(p => p.message === problem.message) === index);
+}
+
+/**
+ * Repairs the problems checkPageStructure reports as repairable
+ *
+ * Duplicate keys get a suffix ("news_2"), markers are written again, categories outside
+ * of containers move into the container before them (or the first one) and links without
+ * a usable address are removed. Everything else on the page is kept.
+ *
+ * @param {string} content - Page content (HTML or Markdown)
+ * @returns {string} Repaired content, unchanged if there is nothing to repair
+ */
+export function repairPageStructure(content) {
+  const text = String(content || "");
+  if (!checkPageStructure(text).some(problem => problem.repairable)) return text;
+
+  return detectContentFormat(text) === 'markdown' ? repairMarkdown(text) : repairHtml(text);
+}
+
+/**
+ * Link address that a link card can point to: web and mail addresses and paths within the wiki
+ * @param {string} url - Link address
+ * @returns {boolean} True if the address is usable
+ */
+export function isUsableLinkUrl(url) {
+  const value = String(url || "").trim();
+  if (/^\/(?!\/)/.test(value)) return true;
+  if (!/^(?:https?|ftp|mailto):/i.test(value)) return false;
+
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Problem for a marker that must exist exactly once inside its container or category
+function markerProblem(marker, inside, total, name) {
+  if (inside === 0) return t('checkMarkerMissing', marker, name);
+  if (total > 1) return t('checkMarkerDuplicate', marker, total);
+  return null;
+}
+
+// Keys that occur more than once, with their count
+function duplicateKeys(keys) {
+  const counts = {};
+  keys.forEach(key => { counts[key] = (counts[key] || 0) + 1; });
+  return Object.entries(counts).filter(([, count]) => count > 1);
+}
+
+// ===== HTML =====
+
+// Text of all comments below an element
+function commentsIn(element) {
+  const walker = element.ownerDocument.createTreeWalker(element, 128);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode.data.trim());
+  return comments;
+}
+
+function checkHtml(content) {
+  const { document, containers, categories } = parseHtmlStructure(content);
+  const problems = [];
+  const add = (message, repairable = true) => message && problems.push({ message, repairable });
+  const allComments = commentsIn(document.body);
+  const count = (comments, marker) => comments.filter(comment => comment === marker).length;
+
+  // Keys as written in the page, before duplicates got a suffix
+  const idKey = (item, suffix) => item.element.id.endsWith(suffix) ? item.element.id.slice(0, -suffix.length) : item.key;
+  const containerKeys = containers.map(container => idKey(container, '-container'));
+  const categoryKeys = categories.map(category => idKey(category, '-section'));
+
+  duplicateKeys(containerKeys).forEach(([key, n]) => add(t('checkDuplicateContainer', key, n)));
+  duplicateKeys(categoryKeys).forEach(([key, n]) => add(t('checkDuplicateCategory', key, n)));
+
+  // Without its place in the source a container or category cannot be rewritten
+  [...containers, ...categories]
+    .filter(item => !item.range)
+    .forEach(item => add(t('contentSourceNotFound', item.name || item.key), false));
+
+  containers.forEach((container, index) => {
+    const inside = commentsIn(container.element);
+    ['START', 'END'].forEach(position => {
+      const marker = `CONTAINER_${containerKeys[index].toUpperCase()}_CONTENT_${position}`;
+      add(markerProblem(marker, count(inside, marker), count(allComments, marker), container.name));
+    });
+  });
+
+  categories.forEach((category, index) => {
+    const marker = `${categoryKeys[index].toUpperCase()}_LINKS_END`;
+    add(markerProblem(marker, count(commentsIn(category.element), marker), count(allComments, marker), category.name));
+  });
+
+  allComments.forEach(comment => {
+    const containerKey = CONTAINER_MARKER.exec(comment)?.[1];
+    const categoryKey = LINKS_MARKER.exec(comment)?.[1];
+    if ((containerKey && !containerKeys.some(key => key.toUpperCase() === containerKey)) ||
+        (categoryKey && !categoryKeys.some(key => key.toUpperCase() === categoryKey))) {
+      add(t('checkStrayMarker', comment));
+    }
+  });
+
+  categories
+    .filter(category => category.containerKey === 'unknown')
+    .forEach(category => add(t('checkOrphanCategory', category.name)));
+
+  categories.forEach(category => category.items.forEach(item => {
+    if (item.link && !isUsableLinkUrl(item.link.url)) {
+      add(t('checkInvalidLinkUrl', item.link.title, item.link.url, category.name));
+    } else if (item.html && /^<a\b/i.test(item.html)) {
+      add(t('checkLinkWithoutUrl', category.name));
+    }
+  }));
+
+  // Link cards outside of categories are kept as they are
+  document.body.querySelectorAll('a.linkcard, a.compact-link, a.large-link').forEach(anchor => {
+    if (!categories.some(category => category.element.contains(anchor))) {
+      add(t('checkLinkOutsideCategory', anchor.textContent.replace(/\s+/g, ' ').trim() || anchor.getAttribute('href') || '?'), false);
+    }
+  });
+
+  // Markers are fine, but tags were reformatted so that only the tolerant parser reads them
+  if (problems.length === 0 && repairHtmlStructure(content) !== content) {
+    add(t('checkHandEdited'));
+  }
+
+  return problems;
+}
+
+function repairHtml(content) {
+  const parsed = parseHtmlStructure(content);
+  moveOrphanCategories(parsed);
+
+  parsed.categories.forEach(category => {
+    category.items = category.items.filter(item =>
+      item.link ? isUsableLinkUrl(item.link.url) : !/^<a\b/i.test(item.html || ''));
+  });
+
+  return serializeHtmlStructure(parsed);
+}
+
+// Categories outside of containers move into the container before them, otherwise into the first one
+function moveOrphanCategories({ containers, categories }) {
+  const orphans = categories.filter(category => category.containerKey === 'unknown');
+  if (orphans.length === 0) return;
+
+  // Source positions; without one serializeHtmlStructure refuses to write anyway
+  const position = (item) => item.insertAt ?? item.range?.start ?? -1;
+
+  if (containers.length === 0) {
+    containers.push({ ...FALLBACK_CONTAINER, insertAt: position(orphans[0]), items: [] });
+  }
+
+  const leading = [];
+  orphans.forEach(category => {
+    const container = containers.filter(c => position(c) < position(category)).pop();
+    if (container) {
+      container.items.push({ category });
+    } else {
+      leading.push({ category });
+    }
+    category.moved = true;
+  });
+  containers[0].items.unshift(...leading);
+
+  containers.forEach(container => container.items
+    .filter(item => item.category)
+    .forEach(item => { item.category.containerKey = container.key; }));
+}
+
+// ===== MARKDOWN =====
+
+/**
+ * Containers or categories between their Markdown markers
+ * @param {string} content - Markdown page content
+ * @param {string} type - 'CONTAINER' or 'SECTION'
+ * @returns {Array<Object>} Blocks (type, key, start, end) - end is -1 without closing marker;
+ *   complete is true if the block is closed and its key is unique
+ */
+function markdownBlocks(content, type) {
+  const open = type === 'CONTAINER' ? /<!-- CONTAINER (\S+) columns=\d+ -->/g : /<!-- SECTION (\S+) layout=\w+ accent=\w+ -->/g;
+  const blocks = [...content.matchAll(open)].map(match => {
+    const close = `<!-- /${type} ${match[1]} -->`;
+    const closePos = content.indexOf(close, match.index);
+    return { type, key: match[1], start: match.index, end: closePos === -1 ? -1 : closePos + close.length };
+  });
+
+  const duplicates = duplicateKeys(blocks.map(block => block.key)).map(([key]) => key);
+  return blocks.map(block => ({ ...block, complete: block.end !== -1 && !duplicates.includes(block.key) }));
+}
+
+// Closed categories that are not inside a closed container
+function markdownOrphans(content) {
+  const containers = markdownBlocks(content, 'CONTAINER').filter(block => block.complete);
+  return markdownBlocks(content, 'SECTION')
+    .filter(section => section.complete)
+    .filter(section => !containers.some(c => c.start < section.start && section.end <= c.end));
+}
+
+function checkMarkdown(content) {
+  const problems = [];
+  const add = (message, repairable = true) => message && problems.push({ message, repairable });
+  const containers = markdownBlocks(content, 'CONTAINER');
+  const sections = markdownBlocks(content, 'SECTION');
+  const manager = new WikiContentManager(content, { format: 'markdown' });
+  const categories = manager.analyzer.extractMarkdownCategories();
+  const nameOf = (key) => categories.find(category => category.key === key)?.name || key;
+  const markers = [...content.matchAll(/<!-- ((\S+?)_LINKS_END|CONTAINER_(\S+?)_CONTENT_(?:START|END)) -->/g)]
+    .map(match => ({ marker: match[1], index: match.index }));
+  const count = (marker, start = 0, end = content.length) =>
+    markers.filter(m => m.marker === marker && start < m.index && m.index < end).length;
+
+  // Duplicate keys and missing closing markers have to be fixed by hand
+  duplicateKeys(containers.map(block => block.key)).forEach(([key, n]) => add(t('checkDuplicateContainer', key, n), false));
+  duplicateKeys(sections.map(block => block.key)).forEach(([key, n]) => add(t('checkDuplicateCategory', key, n), false));
+  [...containers, ...sections]
+    .filter(block => block.end === -1)
+    .forEach(block => add(t('checkCloseMarkerMissing', `<!-- /${block.type} ${block.key} -->`), false));
+
+  containers.filter(block => block.complete).forEach(block => {
+    const name = manager.analyzer.extractMarkdownContainers().find(c => c.key === block.key)?.name || block.key;
+    ['START', 'END'].forEach(position => {
+      const marker = `CONTAINER_${block.key.toUpperCase()}_CONTENT_${position}`;
+      add(markerProblem(marker, count(marker, block.start, block.end), count(marker), name));
+    });
+  });
+
+  sections.filter(block => block.complete).forEach(block => {
+    const marker = `${block.key.toUpperCase()}_LINKS_END`;
+    add(markerProblem(marker, count(marker, block.start, block.end), count(marker), nameOf(block.key)));
+  });
+
+  markers.forEach(({ marker }) => {
+    const containerKey = CONTAINER_MARKER.exec(marker)?.[1];
+    const categoryKey = !containerKey && LINKS_MARKER.exec(marker)?.[1];
+    if ((containerKey && !containers.some(block => block.key.toUpperCase() === containerKey)) ||
+        (categoryKey && !sections.some(block => block.key.toUpperCase() === categoryKey))) {
+      add(t('checkStrayMarker', marker));
+    }
+  });
+
+  markdownOrphans(content).forEach(section => add(t('checkOrphanCategory', nameOf(section.key))));
+
+  sections.filter(block => block.complete).forEach(block => {
+    const layout = categories.find(category => category.key === block.key)?.layout || 'cards';
+    content.slice(block.start, block.end).split(/\r?\n/)
+      .filter(line => line.startsWith('- '))
+      .forEach(line => {
+        const fields = manager.analyzer.parseMarkdownLinkFields(line, layout);
+        if (fields && !isUsableLinkUrl(fields.url)) {
+          add(t('checkInvalidLinkUrl', fields.title, fields.url, nameOf(block.key)));
+        } else if (!fields && line.includes('](')) {
+          add(t('checkMalformedListItem', nameOf(block.key), line), false);
+        }
+      });
+  });
+
+  return problems;
+}
+
+function repairMarkdown(content) {
+  const manager = new WikiContentManager(normalizeMarkdownMarkers(content), { format: 'markdown' });
+
+  manager.removeLinks(manager.analyzer.extractLinks().filter(link => link.categoryKey && !isUsableLinkUrl(link.url)));
+
+  markdownOrphans(manager.getContent()).forEach(section => {
+    const { start, end } = manager.getCategoryRange(section.key);
+    const containers = markdownBlocks(manager.getContent(), 'CONTAINER').filter(block => block.complete);
+    let target = containers.filter(c => c.end <= start).pop() || containers[0];
+
+    if (!target) {
+      target = { key: FALLBACK_CONTAINER.key };
+      for (let n = 2; manager.analyzer.containerExists(target.key); n++) target.key = `${FALLBACK_CONTAINER.key}_${n}`;
+      manager.addContainer(target.key, FALLBACK_CONTAINER.name, FALLBACK_CONTAINER.columns);
+    }
+
+    const categoryText = manager.indentation.category + manager.getContent().slice(start, end);
+    manager.removeRange(start, end);
+    manager.insertIntoContainer(target.key, categoryText);
+  });
+
+  return manager.getContent();
+}
+
+/**
+ * Writes the inner markers of all complete Markdown containers and categories again:
+ * content start after the container heading, content end and links end before the closing marker
+ * Markers of other keys are removed, markers of broken blocks are kept.
+ */
+function normalizeMarkdownMarkers(content) {
+  const containers = markdownBlocks(content, 'CONTAINER');
+  const sections = markdownBlocks(content, 'SECTION');
+  const keep = (blocks, key) => blocks.some(block => block.key.toUpperCase() === key && !block.complete);
+
+  const text = content.replace(
+    /^[ \t]*<!-- (?:CONTAINER_(\S+?)_CONTENT_(?:START|END)|(\S+?)_LINKS_END) -->[ \t]*(?:\r?\n|$)/gm,
+    (line, containerKey, categoryKey) =>
+      (containerKey ? keep(containers, containerKey) : keep(sections, categoryKey)) ? line : '');
+
+  const insertions = [];
+  markdownBlocks(text, 'CONTAINER').filter(block => block.complete).forEach(block => {
+    const marker = `CONTAINER_${block.key.toUpperCase()}_CONTENT`;
+    const openEnd = text.indexOf('\n', block.start) + 1;
+    const heading = /^##[ \t][^\n]*\n/.exec(text.slice(openEnd));
+    insertions.push({ index: openEnd + (heading ? heading[0].length : 0), text: `<!-- ${marker}_START -->\n` });
+    insertions.push({ index: text.lastIndexOf('<!-- /CONTAINER', block.end), text: `<!-- ${marker}_END -->\n` });
+  });
+  markdownBlocks(text, 'SECTION').filter(block => block.complete).forEach(block => {
+    insertions.push({ index: text.lastIndexOf('<!-- /SECTION', block.end), text: `<!-- ${block.key.toUpperCase()}_LINKS_END -->\n` });
+  });
+
+  // From the end, so earlier positions stay valid; at the same position the later marker goes first
+  return insertions
+    .map((insertion, order) => ({ ...insertion, order }))
+    .sort((a, b) => b.index - a.index || b.order - a.order)
+    .reduce((result, { index, text: marker }) => result.slice(0, index) + marker + result.slice(index), text);
+}
@@ -0,0 +1,155 @@
+/**
+ * @file page-commit.js
+ * @description Writes changes to a wiki page with an optimistic concurrency check
+ * @version 1.67
+ */
+
+import { loadWikiPage, updateWikiPage } from './graphql-client.js';
+import { WikiContentManager } from './wiki-content.js';
+import { saveSnapshot, recordOperation } from './page-history.js';
+import { t } from './i18n.js';
+
+// How often a change is re-applied when the page keeps changing underneath
+const MAX_COMMIT_ATTEMPTS = 3;
+
+/**
+ * Thrown when the wiki page was changed by someone else since it was loaded
+ */
+export class PageConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} currentPage - Page as currently stored in Wiki.js
+   */
+  constructor(message, currentPage) {
+    super(message);
+    this.name = 'PageConflictError';
+    this.currentPage = currentPage;
+  }
+}
+
+/**
+ * Updates the wiki page after an optimistic concurrency check
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {number|string} pageId - Wiki page ID
+ * @param {string} newContent - New page content
+ * @param {string} [expectedUpdatedAt] - updatedAt of the page the change is based on
+ * @returns {Promise<Object>} Update result
+ * @throws {PageConflictError} If the page was changed since expectedUpdatedAt
+ */
+export async function updateWikiPageChecked(endpoint, token, pageId, newContent, expectedUpdatedAt) {
+  console.log("Updating Wiki page:", { pageId, contentLength: newContent.length });
+
+  // Load current page data for basic information
+  const currentPage = await loadWikiPage(endpoint, token, pageId);
+
+  // Optimistic concurrency check right before the mutation
+  if (expectedUpdatedAt && currentPage.updatedAt !== expectedUpdatedAt) {
+    throw new PageConflictError(t('pageChangedBy', pageId, currentPage.updatedAt), currentPage);
+  }
+
+  const result = await updateWikiPage(endpoint, token, currentPage, newContent);
+
+  console.log("Wiki page updated successfully");
+  return result;
+}
+
+/**
+ * Gets the page's updatedAt after a successful update
+ * @param {Object} updateResult - Result of updateWikiPageChecked
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - Bearer authentication token
+ * @param {number|string} pageId - Wiki page ID
+ * @returns {Promise<string>} updatedAt as stored on the server
+ */
+export async function updatedAtAfterUpdate(updateResult, endpoint, token, pageId) {
+  const updatedAt = updateResult?.pages?.update?.page?.updatedAt;
+  if (updatedAt) return updatedAt;
+
+  // Older Wiki.js versions do not return the page - load it again
+  const page = await loadWikiPage(endpoint, token, pageId);
+  return page.updatedAt;
+}
+
+/**
+ * Applies a change to a wiki page with an optimistic concurrency check
+ *
+ * The page's updatedAt is checked right before writing. If someone else changed the
+ * page in the meantime, the page is re-fetched and the change is re-applied to the
+ * fresh content. Only if the re-applied change itself fails, the error is thrown.
+ * Nothing is written if the change leaves the content as it is.
+ *
+ * Every written change is recorded in the operation journal so it can be undone.
+ *
+ * @param {Object} target - Page to change
+ * @param {string} target.endpoint - GraphQL endpoint URL
+ * @param {string} target.token - Bearer authentication token
+ * @param {number|string} target.pageId - Wiki page ID
+ * @param {string} [target.profileId] - Profile of the page (default: the active profile)
+ * @param {string|Function} operation - Name of the change, shown in the journal and snapshots,
+ *   or (result) => name for changes named after what mutate did (not with options.snapshot)
+ * @param {Function} mutate - Applies the change: (contentManager, page) => result
+ * @param {Object} [options] - Commit options
+ * @param {Object} [options.page] - Already loaded page (see loadWikiPage)
+ * @param {Function} [options.contentOptions] - Options for WikiContentManager: (page) => options
+ * @param {Function} [options.onConflict] - Called with the current page before the change is re-applied
+ * @param {boolean} [options.snapshot] - Store a snapshot of the page before the first write
+ * @returns {Promise<Object>} { result, contentManager, page, updated } - result of mutate,
+ *   the content manager and page it was applied to, and whether the page was written
+ * @throws {PageConflictError} If the page still changed after the last attempt
+ */
+export async function commitPageChange({ endpoint, token, pageId, profileId }, operation, mutate, options = {}) {
+  let page = options.page || await loadWikiPage(endpoint, token, pageId);
+  let snapshotTaken = !options.snapshot;
+
+  for (let attempt = 1; ; attempt++) {
+    const contentManager = new WikiContentManager(page.content, options.contentOptions?.(page));
+    let result;
+
+    try {
+      result = await mutate(contentManager, page);
+    } catch (e) {
+      if (attempt === 1) throw e;
+      throw new Error(t('pageReapplyFailed', e.message));
+    }
+
+    const content = contentManager.getContent();
+    if (content === page.content) {
+      return { result, contentManager, page, updated: false };
+    }
+
+    // Taken once, before the first write - re-applied attempts must not store one snapshot each
+    if (!snapshotTaken) {
+      await saveSnapshot(page, operation);
+      snapshotTaken = true;
+    }
+
+    let updateResult;
+    try {
+      updateResult = await updateWikiPageChecked(endpoint, token, pageId, content, page.updatedAt);
+    } catch (e) {
+      if (!(e instanceof PageConflictError) || attempt >= MAX_COMMIT_ATTEMPTS) throw e;
+
+      console.warn("Page conflict, re-applying change:", e.message);
+      page = e.currentPage;
+      await options.onConflict?.(page);
+      continue;
+    }
+
+    // The page is updated - without the journal entry the change just cannot be undone
+    try {
+      await recordOperation({
+        pageId,
+        profileId,
+        operation: typeof operation === 'function' ? operation(result) : operation,
+        before: page.content,
+        after: content,
+        updatedAt: await updatedAtAfterUpdate(updateResult, endpoint, token, pageId)
+      });
+    } catch (e) {
+      console.warn("Recording the change for undo failed:", e);
+    }
+
+    return { result, contentManager, page, updated: true };
+  }
+}
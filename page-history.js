@@ -0,0 +1,152 @@
+/**
+ * @file page-history.js
+ * @description Local backup snapshots and an undo journal of page changes
+ * @version 1.67
+ */
+
+import { getActiveProfileId } from './profiles.js';
+
+// Snapshots are kept in local storage - page content easily exceeds the sync quota
+const SNAPSHOTS_KEY = 'snapshots';
+
+// Number of snapshots kept when nothing is configured in the options
+export const DEFAULT_SNAPSHOT_LIMIT = 10;
+
+/**
+ * Stores a snapshot of the page content before it is overwritten
+ * @param {Object} page - Page as returned by loadWikiPage
+ * @param {string} operation - Name of the operation that is about to overwrite the page
+ * @returns {Promise<Object>} The stored snapshot
+ */
+export async function saveSnapshot(page, operation) {
+  const { snapshotLimit } = await chrome.storage.sync.get({ snapshotLimit: DEFAULT_SNAPSHOT_LIMIT });
+  const limit = Math.max(1, parseInt(snapshotLimit) || DEFAULT_SNAPSHOT_LIMIT);
+
+  const snapshot = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    pageId: Number(page.id),
+    profileId: await getActiveProfileId(),
+    pageTitle: page.title || "",
+    operation,
+    timestamp: new Date().toISOString(),
+    updatedAt: page.updatedAt,
+    content: page.content || ""
+  };
+
+  const snapshots = await loadSnapshots();
+  snapshots.unshift(snapshot);
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots.slice(0, limit) });
+
+  console.log("Snapshot saved:", { operation, pageId: snapshot.pageId, length: snapshot.content.length });
+  return snapshot;
+}
+
+/**
+ * Lists stored snapshots, newest first
+ * @param {number|string} [pageId] - Only return snapshots of this page (of the active profile)
+ * @returns {Promise<Array<Object>>} Snapshots
+ */
+export async function listSnapshots(pageId) {
+  const snapshots = await loadSnapshots();
+  if (pageId === undefined || pageId === null || pageId === "") return snapshots;
+  
+  const profileId = await getActiveProfileId();
+  return snapshots.filter(snapshot => snapshot.pageId === Number(pageId) && sameProfile(snapshot, profileId));
+}
+
+/**
+ * Gets a single snapshot
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Object|undefined>} The snapshot, if it still exists
+ */
+export async function getSnapshot(id) {
+  const snapshots = await loadSnapshots();
+  return snapshots.find(snapshot => snapshot.id === id);
+}
+
+/**
+ * Deletes a single snapshot
+ * @param {string} id - Snapshot ID
+ */
+export async function deleteSnapshot(id) {
+  const snapshots = await loadSnapshots();
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots.filter(snapshot => snapshot.id !== id) });
+}
+
+// Entries stored before profiles existed belong to every profile
+function sameProfile(entry, profileId) {
+  return !entry.profileId || entry.profileId === profileId;
+}
+
+async function loadSnapshots() {
+  const result = await chrome.storage.local.get({ [SNAPSHOTS_KEY]: [] });
+  return Array.isArray(result[SNAPSHOTS_KEY]) ? result[SNAPSHOTS_KEY] : [];
+}
+
+// ===== OPERATION JOURNAL =====
+
+const JOURNAL_KEY = 'journal';
+
+// Number of changes that can be undone one after another
+const JOURNAL_LIMIT = 5;
+
+/**
+ * Records a successful page change so it can be undone
+ * @param {Object} entry - Journal entry
+ * @param {number|string} entry.pageId - Changed page
+ * @param {string} entry.operation - Name of the change
+ * @param {string} entry.before - Page content before the change
+ * @param {string} entry.after - Page content after the change
+ * @param {string} entry.updatedAt - updatedAt of the page after the change
+ * @param {string} [entry.profileId] - Profile of the page (default: the active profile)
+ */
+export async function recordOperation({ pageId, operation, before, after, updatedAt, profileId }) {
+  const journal = await loadJournal();
+  journal.unshift({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    pageId: Number(pageId),
+    profileId: profileId || await getActiveProfileId(),
+    operation,
+    timestamp: new Date().toISOString(),
+    before,
+    after,
+    updatedAt
+  });
+  await chrome.storage.local.set({ [JOURNAL_KEY]: journal.slice(0, JOURNAL_LIMIT) });
+}
+
+/**
+ * Gets the latest recorded change of a page of the active profile
+ * @param {number|string} pageId - Wiki page ID
+ * @returns {Promise<Object|undefined>} Journal entry, if any
+ */
+export async function getLastOperation(pageId) {
+  const journal = await loadJournal();
+  const profileId = await getActiveProfileId();
+  return journal.find(entry => entry.pageId === Number(pageId) && sameProfile(entry, profileId));
+}
+
+/**
+ * Removes an undone change from the journal
+ * 
+ * The change before it becomes undoable next: it gets the page's new updatedAt
+ * if the undo restored exactly the content that change produced.
+ * 
+ * @param {Object} entry - The undone journal entry
+ * @param {string} updatedAt - updatedAt of the page after the undo
+ */
+export async function completeUndo(entry, updatedAt) {
+  const journal = (await loadJournal()).filter(e => e.id !== entry.id);
+  const previous = journal.find(e => e.pageId === entry.pageId && e.profileId === entry.profileId);
+
+  if (previous && previous.after === entry.before) {
+    previous.updatedAt = updatedAt;
+  }
+
+  await chrome.storage.local.set({ [JOURNAL_KEY]: journal });
+}
+
+async function loadJournal() {
+  const result = await chrome.storage.local.get({ [JOURNAL_KEY]: [] });
+  return Array.isArray(result[JOURNAL_KEY]) ? result[JOURNAL_KEY] : [];
+}
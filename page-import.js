@@ -0,0 +1,296 @@
+/**
+ * @file page-import.js
+ * @description Adopts hand-made link pages (links listed under headings) into the extension's structure
+ * @version 1.67
+ *
+ * Every heading with links below it becomes a category, every link a card in the
+ * chosen layout, and all categories go into one container. Text before the first
+ * of these headings is kept above the container.
+ */
+
+import { WikiStructureAnalyzer, WikiContentManager, escapeHtml, unescapeMarkdown } from './wiki-content.js';
+import { createLinkInfo } from './link-actions.js';
+import { draftLinkAssets } from './link-assets.js';
+import { t } from './i18n.js';
+
+// New categories get the accent colors of the popup in turn
+const ACCENTS = ['blue', 'green', 'orange', 'purple', 'pink', 'teal'];
+
+const MARKDOWN_HEADING = /^#{1,6}[ \t]+(.*?)[ \t#]*$/;
+const MARKDOWN_LIST_ITEM = /^[ \t]*(?:[-*+]|\d+[.)])[ \t]+(.*)$/;
+
+// [title](url "tooltip") - images (![alt](src)) are no links, URLs may contain balanced parentheses
+const MARKDOWN_INLINE_LINK = /(?<!!)\[((?:\\.|[^\\\]])*)\]\(\s*<?((?:\\.|\([^()\s]*\)|[^\\()\s<>])+)>?(?:\s+"[^"]*")?\s*\)/;
+
+// <url> or a bare URL
+const MARKDOWN_AUTOLINK = /<((?:https?:\/\/|\/)[^>\s]+)>|(https?:\/\/[^\s<>()]+)/;
+
+// Separators between a link and its description ("[Title](url) - description")
+const SEPARATORS = /^[\s*_~:|·•–—-]+|[\s*_~:|·•–—-]+$/g;
+
+const cleanText = (text) => String(text ?? "").replace(/\s+/g, ' ').trim();
+
+// Content without text that is still worth mentioning when it is dropped
+const HTML_MEDIA = 'img, picture, svg, video, audio, iframe, object, embed, canvas';
+
+/**
+ * Reads the links listed under the headings of a page
+ *
+ * The first paragraph under a heading becomes the description of its category.
+ * Links before the first heading are collected in a category without name.
+ * Only web addresses and paths within the wiki are read as links.
+ *
+ * @param {string} content - Page content
+ * @param {string} sourceFormat - Format of the content: 'markdown' or 'html'
+ * @returns {Object} { intro, sections, skipped } - intro is the content before the first
+ *   section, sections are { name, description, links: [{ url, title, description }] },
+ *   skipped is everything after the intro that is not carried over (texts, or the
+ *   markup of images and comments)
+ */
+export function readLinkLists(content, sourceFormat) {
+  return sourceFormat === 'markdown'
+    ? readMarkdownLists(String(content || ""))
+    : readHtmlLists(String(content || ""));
+}
+
+/**
+ * Builds the page in the extension's structure from the links listed under its headings
+ *
+ * @param {string} content - Current page content
+ * @param {Object} options - Adopt options
+ * @param {string} options.sourceFormat - Format of the current content ('markdown' or 'html')
+ * @param {string} options.format - Output format, see WikiContentManager
+ * @param {boolean} [options.classes] - Write Markdown with {.class} attributes
+ * @param {string} options.containerName - Name of the container that receives the categories
+ * @param {number} [options.columns] - Columns of the container
+ * @param {string} [options.layout] - Layout of all categories (cards, compact, large)
+ * @returns {Promise<Object>} { content, categories: [{ key, name, links }], skipped }
+ * @throws {Error} If the page already has containers or categories, or has no links under headings
+ */
+export async function adoptLinkPage(content, { sourceFormat, format, classes, containerName, columns = 2, layout = 'cards' }) {
+  const analyzer = new WikiStructureAnalyzer(content);
+  if (analyzer.extractContainers().length > 0 || analyzer.extractCategories().length > 0) {
+    throw new Error(t('adoptPageHasStructure'));
+  }
+
+  const { intro, sections, skipped } = readLinkLists(content, sourceFormat);
+  if (sections.length === 0) {
+    throw new Error(t('adoptNoLinks'));
+  }
+
+  const name = String(containerName || "").trim() || 'Links';
+  const containerKey = toKey(name) || 'links';
+  const manager = new WikiContentManager('', { format, classes });
+  const categories = [];
+
+  manager.addContainer(containerKey, name, columns);
+
+  for (const [index, section] of sections.entries()) {
+    const categoryName = section.name || name;
+    let key = toKey(categoryName) || `category_${index + 1}`;
+    for (let n = 2; manager.analyzer.categoryExists(key); n++) key = `${toKey(categoryName) || 'category'}_${n}`;
+
+    manager.addCategory({
+      key,
+      name: categoryName,
+      description: section.description,
+      layout,
+      accent: ACCENTS[index % ACCENTS.length],
+      containerKey,
+      column: 0
+    });
+
+    for (const link of section.links) {
+      manager.addLinkToCategory(await linkCard(link), key);
+    }
+    categories.push({ key, name: categoryName, links: section.links.length });
+  }
+
+  const body = manager.getContent().replace(/^\n+/, '');
+  return {
+    content: intro ? `${intro}\n\n${body}` : body,
+    categories,
+    skipped
+  };
+}
+
+// Category and container keys like the popup creates them
+function toKey(name) {
+  return name.toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[äöüß]/g, match => ({ 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' })[match])
+    .replace(/[^a-z0-9_-]/g, '_')
+    .replace(/[-_]{2,}/g, '_')
+    .replace(/^[-_]+|[-_]+$/g, '');
+}
+
+// Web addresses and paths within the wiki ("/en/page")
+function isAdoptableUrl(url) {
+  if (/^\/(?!\/)/.test(url)) return true;
+  if (!/^https?:\/\//i.test(url)) return false;
+
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Link card with the icon and preview chosen in the options; paths within the wiki get no icon
+async function linkCard({ url, title, description }) {
+  const card = url.startsWith('/')
+    ? { url, title: title || url, host: '', iconUrl: '', previewUrl: '' }
+    : await draftLinkAssets(createLinkInfo(url, title));
+
+  return description ? { ...card, description } : card;
+}
+
+// ===== MARKDOWN =====
+
+// Heading or link text without attributes, emphasis and escapes
+function markdownText(text) {
+  return cleanText(unescapeMarkdown(text
+    .replace(/[ \t]+\{[^{}]*\}[ \t]*$/, '')
+    .replace(new RegExp(MARKDOWN_INLINE_LINK.source, 'g'), '$1')
+    .replace(/(\*\*|__|`)/g, '')));
+}
+
+function readMarkdownLink(text) {
+  const inline = MARKDOWN_INLINE_LINK.exec(text);
+  const auto = !inline && MARKDOWN_AUTOLINK.exec(text);
+  if (!inline && !auto) return null;
+
+  const url = inline ? unescapeMarkdown(inline[2]) : auto[1] || auto[2];
+  if (!isAdoptableUrl(url)) return null;
+
+  return {
+    url,
+    title: inline ? markdownText(inline[1]) : '',
+    description: markdownText(text.replace((inline || auto)[0], '')).replace(SEPARATORS, '')
+  };
+}
+
+function readMarkdownLists(content) {
+  const lines = content.split(/\r?\n/);
+  const sections = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const heading = MARKDOWN_HEADING.exec(line);
+    if (heading) {
+      current = { name: markdownText(heading[1]), description: '', links: [], start: index, lines: [index] };
+      sections.push(current);
+      return;
+    }
+
+    const item = MARKDOWN_LIST_ITEM.exec(line);
+    const link = item && readMarkdownLink(item[1]);
+
+    if (link) {
+      if (!current) {
+        current = { name: '', description: '', links: [], start: index, lines: [] };
+        sections.push(current);
+      }
+      current.links.push(link);
+      current.lines.push(index);
+    } else if (current && current.links.length === 0 && !item && line.trim() && !line.trim().startsWith('<')) {
+      current.description = cleanText(`${current.description} ${markdownText(line)}`);
+      current.lines.push(index);
+    }
+  });
+
+  const linked = sections.filter(section => section.links.length > 0);
+  if (linked.length === 0) return { intro: content, sections: [], skipped: [] };
+
+  const used = new Set(linked.flatMap(section => section.lines));
+  const introEnd = linked[0].start;
+
+  return {
+    intro: lines.slice(0, introEnd).join('\n').trim(),
+    sections: linked.map(({ name, description, links }) => ({ name, description, links })),
+    skipped: lines
+      .slice(introEnd)
+      .filter((line, offset) => line.trim() && !used.has(introEnd + offset))
+      .map(line => line.trim())
+  };
+}
+
+// ===== HTML =====
+
+function readHtmlLists(content) {
+  // The body start tag keeps leading comments in the body
+  const document = new DOMParser().parseFromString(`<!DOCTYPE html><html><head></head><body>${content}`, 'text/html');
+  const sections = [];
+  let current = null;
+
+  const hasLink = (node) => [...node.querySelectorAll('a[href]')].some(anchor => isAdoptableUrl(anchor.getAttribute('href').trim()));
+
+  document.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, a[href]').forEach(node => {
+    if (node.matches('h1, h2, h3, h4, h5, h6')) {
+      current = { name: cleanText(node.textContent), description: '', links: [], element: node, nodes: [node] };
+      sections.push(current);
+    } else if (node.matches('a[href]')) {
+      const url = node.getAttribute('href').trim();
+      if (node.closest('h1, h2, h3, h4, h5, h6') || !isAdoptableUrl(url)) return;
+
+      if (!current) {
+        current = { name: '', description: '', links: [], element: node, nodes: [] };
+        sections.push(current);
+      }
+
+      // Text next to the link in its list item, e.g. "<li><a>Title</a> - description</li>"
+      const item = node.closest('li, p, td, dd');
+      const description = item && item.querySelectorAll('a[href]').length === 1
+        ? cleanText(item.textContent).replace(cleanText(node.textContent), '').replace(SEPARATORS, '')
+        : '';
+      current.links.push({ url, title: cleanText(node.textContent), description });
+      current.nodes.push(description ? item : node);
+    } else if (current && current.links.length === 0 && !hasLink(node) && cleanText(node.textContent)) {
+      current.description = cleanText(`${current.description} ${node.textContent}`);
+      current.nodes.push(node);
+    }
+  });
+
+  const linked = sections.filter(section => section.links.length > 0);
+  if (linked.length === 0) return { intro: content, sections: [], skipped: [] };
+
+  // Everything from the top-level element of the first section on is replaced
+  let first = linked[0].element;
+  while (first.parentElement !== document.body) first = first.parentElement;
+
+  const topLevel = [...document.body.childNodes];
+  const intro = topLevel.slice(0, topLevel.indexOf(first))
+    .map(node => node.nodeType === 1 ? node.outerHTML : node.nodeType === 8 ? `<!--${node.data}-->` : escapeHtml(node.data))
+    .join('')
+    .trim();
+
+  // Headings, descriptions and links of the sections are carried over, everything else is listed
+  const carried = new Set(linked.flatMap(section => section.nodes));
+  const skipped = [];
+  const collect = (node) => {
+    if (carried.has(node)) return;
+
+    if (node.nodeType === 1 && [...carried].some(other => node.contains(other))) {
+      node.childNodes.forEach(collect);
+    } else if (node.nodeType === 1) {
+      const text = cleanText(node.textContent);
+      if (text) {
+        skipped.push(text);
+      } else if (node.matches(HTML_MEDIA) || node.querySelector(HTML_MEDIA)) {
+        skipped.push(node.outerHTML);
+      }
+    } else if (node.nodeType === 3 && cleanText(node.data).replace(SEPARATORS, '')) {
+      skipped.push(cleanText(node.data));
+    } else if (node.nodeType === 8) {
+      skipped.push(`<!--${node.data}-->`);
+    }
+  };
+  topLevel.slice(topLevel.indexOf(first)).forEach(collect);
+
+  return {
+    intro,
+    sections: linked.map(({ name, description, links }) => ({ name, description, links })),
+    skipped
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * @file page-metadata.js
+ * @description Reads OpenGraph/Twitter metadata, description, canonical URL, site name and author of a tab
+ * @version 1.67
+ */
+
+// Longer descriptions are shortened for the link cards
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Reads the metadata of the page shown in a tab
+ * @param {number} tabId - Tab to read
+ * @returns {Promise<Object>} Metadata (empty if the page cannot be scripted, e.g. discarded tabs)
+ */
+export async function readPageMetadata(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: extractMetadata
+    });
+    return injection?.result || {};
+  } catch (e) {
+    console.warn("Reading page metadata failed:", e.message);
+    return {};
+  }
+}
+
+/**
+ * Runs inside the page - must not use anything from this module
+ * @returns {Object} title, description, canonicalUrl, siteName, author, image
+ */
+function extractMetadata() {
+  const meta = (...names) => {
+    for (const name of names) {
+      const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      const content = el?.getAttribute('content')?.trim();
+      if (content) return content;
+    }
+    return '';
+  };
+
+  return {
+    title: meta('og:title', 'twitter:title'),
+    description: meta('og:description', 'twitter:description', 'description'),
+    canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || meta('og:url'),
+    siteName: meta('og:site_name', 'application-name'),
+    author: meta('author', 'article:author', 'twitter:creator'),
+    image: meta('og:image', 'twitter:image')
+  };
+}
+
+/**
+ * Adds page metadata to link data
+ *
+ * The canonical URL replaces the tab URL only if it points to the same site,
+ * so a misconfigured canonical tag cannot redirect the link somewhere else.
+ *
+ * @param {Object} linkInfo - Link data (url, title, host, iconUrl)
+ * @param {Object} metadata - Result of readPageMetadata
+ * @returns {Object} Link data with description, siteName, author and image
+ */
+export function applyPageMetadata(linkInfo, metadata = {}) {
+  const result = { ...linkInfo };
+
+  const canonical = sameSiteUrl(metadata.canonicalUrl, linkInfo.url);
+  if (canonical) {
+    result.url = canonical;
+    result.host = new URL(canonical).hostname;
+  }
+
+  if (metadata.title) result.title = metadata.title.trim();
+  if (metadata.siteName) result.siteName = metadata.siteName.trim();
+  if (metadata.author) result.author = metadata.author.trim();
+
+  const image = absoluteUrl(metadata.image, result.url);
+  if (image) result.image = image;
+
+  const description = String(metadata.description || "").replace(/\s+/g, ' ').trim();
+  if (description) {
+    result.description = description.length > MAX_DESCRIPTION_LENGTH
+      ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+      : description;
+  }
+
+  return result;
+}
+
+function absoluteUrl(candidate, base) {
+  if (!candidate) return null;
+  try {
+    const u = new URL(candidate, base);
+    return ['http:', 'https:'].includes(u.protocol) ? u.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function sameSiteUrl(candidate, url) {
+  if (!candidate) return null;
+  try {
+    const c = new URL(candidate, url);
+    const u = new URL(url);
+    const site = (host) => host.replace(/^www\./, '');
+    return ['http:', 'https:'].includes(c.protocol) && site(c.hostname) === site(u.hostname) ? c.href : null;
+  } catch {
+    return null;
+  }
+}
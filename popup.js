@@ -21,18 +21,35 @@
 // Import reset functions and demo template
 import { clearWikiPage, resetLinksOnly } from './reset-functions.js';
 import { loadDemoTemplate } from './demo-template.js';
+import {
+  listSnapshots, getSnapshot, deleteSnapshot,
+  getLastOperation, completeUndo
+} from './page-history.js';
+import { diffLines, countChanges, formatDiff } from './text-diff.js';
+import { checkPageStructure, repairPageStructure } from './page-check.js';
+import { readLinkLists, adoptLinkPage } from './page-import.js';
+import { loadWikiPage, WikiNetworkError } from './graphql-client.js';
+import { PageConflictError, updateWikiPageChecked, updatedAtAfterUpdate, commitPageChange } from './page-commit.js';
+import { HTML_TEMPLATES, WikiStructureAnalyzer, WikiContentManager, parseTags, resolveContentFormat } from './wiki-content.js';
+import { enqueueLink, listQueuedLinks, discardQueuedLink, flushLinkQueue } from './link-queue.js';
+import { createLinkInfo, saveLinksToLocaleVariants, formatLocaleResults } from './link-actions.js';
+import { readPageMetadata, applyPageMetadata } from './page-metadata.js';
+import { draftLinkAssets, applyLinkAssets } from './link-assets.js';
+import { listProfiles, getActiveProfileId, switchProfile, getCachedStructure, setCachedStructure } from './profiles.js';
+import { getPageSettings } from './locale-pages.js';
+import { t, localizePage } from './i18n.js';
 
 // ===== ERROR HANDLING =====
 window.addEventListener("error", (e) => {
   try { 
     const out = document.getElementById("out");
-    if (out) out.textContent = "Script error: " + (e?.error?.message || e.message); 
+    if (out) out.textContent = t('popupScriptError', e?.error?.message || e.message); 
   } catch {}
 });
 window.addEventListener("unhandledrejection", (e) => {
   try { 
     const out = document.getElementById("out");
-    if (out) out.textContent = "Promise error: " + (e?.reason?.message || String(e.reason)); 
+    if (out) out.textContent = t('popupPromiseError', e?.reason?.message || String(e.reason)); 
   } catch {}
 });
 
@@ -46,539 +63,171 @@ function log(msg) {
   console.log("EXTENSION LOG:", msg);
 }
 
-function escapeHtml(s) {
-  return String(s ?? "")
-    .replace(/&/g,"&amp;")
-    .replace(/</g,"&lt;")
-    .replace(/>/g,"&gt;")
-    .replace(/"/g,"&quot;");
+// ===== STORAGE MANAGEMENT =====
+async function saveData(key, data) {
+  await chrome.storage.sync.set({ [key]: data });
 }
 
-// ===== GRAPHQL FUNCTIONS (INLINE) =====
+// ===== WIKI FUNCTIONS =====
 
 /**
- * Robust GraphQL query function for Wiki.js
- * Handles all Wiki.js specific quirks
+ * Synchronize extension with Wiki data
  */
-async function executeGraphQL(endpoint, token, query, variables) {
-  console.log("GraphQL Request:", { endpoint, query, variables });
-  
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...(token ? { "Authorization": `Bearer ${token}` } : {})
-    },
-    body: JSON.stringify({ query, variables })
-  });
-
-  const responseText = await response.text();
-  console.log("GraphQL Raw Response:", responseText);
-  
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status} — ${response.statusText}: ${responseText}`);
-  }
-  
-  let json = {};
-  try {
-    json = JSON.parse(responseText);
-  } catch (e) {
-    throw new Error(`Invalid JSON response: ${responseText.slice(0, 200)}`);
-  }
-  
-  // Wiki.js specific error handling
-  if (json.errors && Array.isArray(json.errors) && json.errors.length > 0) {
-    const errorMessages = json.errors.map(e => e.message || String(e)).join("; ");
-    throw new Error(`GraphQL Error: ${errorMessages}`);
-  }
-  
-  return json.data || json;
-}
-
-/**
- * Query to load a Wiki page
- * CRITICAL: tags is a complex type in Wiki.js, not just String[]
- */
-const QUERY_GET_PAGE = `
-  query GetPage($id: Int!) {
-    pages {
-      single(id: $id) {
-        id
-        path
-        title
-        editor
-        content
-        description
-        isPrivate
-        isPublished
-        locale
-        publishEndDate
-        publishStartDate
-        scriptCss
-        scriptJs
-        tags {
-          id
-          tag
-          title
-        }
-        createdAt
-        updatedAt
-      }
-    }
-  }
-`;
-
-/**
- * SIMPLIFIED WIKI.JS UPDATE MUTATION
- * Based on Wiki.js documentation - only necessary fields
- */
-const MUTATION_UPDATE_PAGE = `
-  mutation UpdatePage(
-    $id: Int!,
-    $content: String!,
-    $title: String,
-    $isPublished: Boolean,
-    $isPrivate: Boolean,
-    $locale: String,
-    $path: String,
-    $tags: [String]
-  ) {
-    pages {
-      update(
-        id: $id,
-        content: $content,
-        title: $title,
-        isPublished: $isPublished,
-        isPrivate: $isPrivate,
-        locale: $locale,
-        path: $path,
-        tags: $tags
-      ) {
-        responseResult {
-          succeeded
-          errorCode
-          message
-        }
-        page {
-          id
-          updatedAt
-        }
-      }
-    }
-  }
-`;
-
-// ===== HTML TEMPLATE GENERATOR =====
-const HTML_TEMPLATES = {
-  // Container template
-  container: (containerKey, columns) => {
-    return `<div class="layout-container layout-${columns}col" id="${containerKey}-container">
-  <!-- Container: ${containerKey} -->
-  <!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_START -->
-  <!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_END -->
-</div>
-
-`;
-  },
-  
-  // Category template
-  category: (category, layout) => {
-    const layoutClass = layout === 'compact' ? 'section-compact' : 
-                       layout === 'large' ? 'section-large' : 'section-card';
-    
-    const contentClass = layout === 'compact' ? 'compact-links' : 
-                        layout === 'large' ? 'large-links' : 'links';
-    
-    return `  <section class="${layoutClass} accent-${category.accent}" id="${category.key}-section">
-    <header class="${layoutClass}__header">
-      <div class="${layoutClass}__title">${escapeHtml(category.name)}</div>
-      <div class="${layoutClass}__meta">${escapeHtml(category.description)}</div>
-    </header>
-    <div class="${contentClass}">
-      <!-- ${category.key.toUpperCase()}_LINKS_END -->
-    </div>
-  </section>`;
-  },
-  
-  // Link template
-  link: (tabInfo, layout) => {
-    const { url, title, host, iconUrl } = tabInfo;
-    
-    if (layout === 'compact') {
-      return `      <a class="compact-link" href="${url}" target="_blank" rel="noopener">
-        <img src="${iconUrl}" alt="" class="compact-icon">
-        <span class="compact-title">${escapeHtml(title)}</span>
-        <span class="compact-url">${escapeHtml(host)}</span>
-      </a>`;
-    } else if (layout === 'large') {
-      return `      <a class="large-link" href="${url}" target="_blank" rel="noopener">
-        <div class="large-preview">
-          <img src="https://mini.s-shot.ru/1024x768/JPEG/1024/Z100/?${encodeURIComponent(url)}" alt="Preview" class="large-screenshot" onerror="this.style.display='none';">
-          <img src="${iconUrl}" alt="" class="large-icon">
-        </div>
-        <div class="large-content">
-          <div class="large-title">${escapeHtml(title)}</div>
-          <div class="large-url">${escapeHtml(host)}</div>
-        </div>
-      </a>`;
-    } else {
-      return `      <a class="linkcard" href="${url}" target="_blank" rel="noopener">
-        <img src="${iconUrl}" alt="">
-        <div>
-          <div class="title">${escapeHtml(title)}</div>
-          <div class="url">${escapeHtml(host)}</div>
-        </div>
-      </a>`;
-    }
-  }
-};
-
-// ===== WIKI STRUCTURE ANALYZER =====
-class WikiStructureAnalyzer {
-  constructor(content) {
-    this.content = content || "";
-  }
-  
-  extractContainers() {
-    const containers = [];
-    const containerRegex = /<div class="layout-container layout-(\d+)col" id="([^"]+)-container">/g;
-    let match;
-    
-    while ((match = containerRegex.exec(this.content)) !== null) {
-      const columns = parseInt(match[1]);
-      const key = match[2];
-      
-      const commentPattern = new RegExp(`<!-- Container: ${key}(?:\\s*-\\s*(.+?))? -->`, 'i');
-      const commentMatch = commentPattern.exec(this.content);
-      const name = commentMatch && commentMatch[1] ? commentMatch[1] : key.charAt(0).toUpperCase() + key.slice(1);
-      
-      containers.push({ key, name, columns });
-    }
-    
-    return containers;
-  }
-  
-  extractCategories() {
-    const categories = [];
-    const sectionRegex = /<section class="(section-\w+)\s+accent-(\w+)" id="([^"]+)-section">/g;
-    let match;
-    
-    while ((match = sectionRegex.exec(this.content)) !== null) {
-      const layoutClass = match[1];
-      const accent = match[2];
-      const key = match[3];
-      
-      const layout = layoutClass.includes('compact') ? 'compact' : 
-                    layoutClass.includes('large') ? 'large' : 'cards';
-      
-      const sectionStart = this.content.indexOf(`id="${key}-section"`);
-      const sectionContent = this.content.substring(sectionStart, sectionStart + 500);
-      
-      const titleRegex = new RegExp(`<div class="${layoutClass}__title">([^<]+)</div>`);
-      const metaRegex = new RegExp(`<div class="${layoutClass}__meta">([^<]*)</div>`);
-      
-      const titleMatch = titleRegex.exec(sectionContent);
-      const metaMatch = metaRegex.exec(sectionContent);
-      
-      const containerKey = this.findContainerForCategory(key);
-      
-      categories.push({
-        key,
-        name: titleMatch ? titleMatch[1] : key,
-        description: metaMatch ? metaMatch[1] : '',
-        layout,
-        accent,
-        containerKey: containerKey || 'unknown',
-        column: 0
-      });
-    }
-    
-    return categories;
-  }
-  
-  findContainerForCategory(categoryKey) {
-    const sectionPos = this.content.indexOf(`id="${categoryKey}-section"`);
-    if (sectionPos === -1) return null;
-    
-    const beforeSection = this.content.substring(0, sectionPos);
-    const containerMatches = [...beforeSection.matchAll(/<!-- CONTAINER_([^_]+)_CONTENT_START -->/g)];
-    
-    if (containerMatches.length === 0) return null;
-    
-    const lastMatch = containerMatches[containerMatches.length - 1];
-    return lastMatch[1].toLowerCase();
-  }
-  
-  categoryExists(categoryKey) {
-    return this.content.includes(`id="${categoryKey}-section"`);
-  }
-  
-  containerExists(containerKey) {
-    return this.content.includes(`id="${containerKey}-container"`);
-  }
-}
-
-// ===== CONTENT MANAGER =====
-class WikiContentManager {
-  constructor(content) {
-    this.content = content || "";
-    this.analyzer = new WikiStructureAnalyzer(content);
-  }
-  
-  addContainer(containerKey, name, columns) {
-    if (this.analyzer.containerExists(containerKey)) {
-      throw new Error(`Container '${containerKey}' already exists`);
-    }
-    
-    const containerHTML = HTML_TEMPLATES.container(containerKey, columns);
-    this.content += (this.content && !this.content.endsWith('\n') ? '\n\n' : '\n') + containerHTML;
-    this.analyzer = new WikiStructureAnalyzer(this.content);
-    
-    return this;
-  }
-  
-  addCategory(category) {
-    if (this.analyzer.categoryExists(category.key)) {
-      throw new Error(`Category '${category.key}' already exists`);
-    }
-    
-    if (!this.analyzer.containerExists(category.containerKey)) {
-      throw new Error(`Container '${category.containerKey}' does not exist. Create the container first.`);
-    }
-    
-    const categoryHTML = HTML_TEMPLATES.category(category, category.layout);
-    const contentEndMarker = `<!-- CONTAINER_${category.containerKey.toUpperCase()}_CONTENT_END -->`;
-    const markerPos = this.content.indexOf(contentEndMarker);
-    
-    if (markerPos === -1) {
-      throw new Error(`Container content marker for '${category.containerKey}' not found`);
-    }
-    
-    const beforeMarker = this.content.substring(0, markerPos);
-    const afterMarker = this.content.substring(markerPos);
-    
-    const startMarker = `<!-- CONTAINER_${category.containerKey.toUpperCase()}_CONTENT_START -->`;
-    const startPos = this.content.indexOf(startMarker);
-    const hasContent = startPos !== -1 && 
-                      this.content.substring(startPos + startMarker.length, markerPos).trim().length > 0;
-    
-    const insertion = (hasContent ? '\n  ' : '') + categoryHTML + '\n  ';
-    
-    this.content = beforeMarker + insertion + afterMarker;
-    this.analyzer = new WikiStructureAnalyzer(this.content);
-    
-    return this;
-  }
+async function syncFromWiki() {
+  const { endpoint, token, pageId } = await getPageSettings();
   
-  addLinkToCategory(tabInfo, categoryKey) {
-    if (!this.analyzer.categoryExists(categoryKey)) {
-      throw new Error(`Category '${categoryKey}' does not exist`);
-    }
-    
-    const categories = this.analyzer.extractCategories();
-    const category = categories.find(cat => cat.key === categoryKey);
-    
-    if (!category) {
-      throw new Error(`Category information for '${categoryKey}' not found`);
-    }
-    
-    const linkHTML = HTML_TEMPLATES.link(tabInfo, category.layout);
-    const marker = `<!-- ${categoryKey.toUpperCase()}_LINKS_END -->`;
-    const markerPos = this.content.indexOf(marker);
-    
-    if (markerPos === -1) {
-      throw new Error(`Insert marker for category '${categoryKey}' not found`);
-    }
-    
-    this.content = this.content.slice(0, markerPos) + linkHTML + '\n      ' + this.content.slice(markerPos);
-    
-    return this;
+  if (!endpoint || !token || !pageId) {
+    throw new Error(t('configMissing'));
   }
   
-  /**
-   * NEW FUNCTION: Remove all links from all categories
-   * Keeps containers and categories, removes only link content
-   */
-  removeAllLinks() {
-    const categories = this.analyzer.extractCategories();
-    
-    categories.forEach(category => {
-      const marker = `<!-- ${category.key.toUpperCase()}_LINKS_END -->`;
-      const markerPos = this.content.indexOf(marker);
-      
-      if (markerPos === -1) return;
-      
-      const beforeMarker = this.content.substring(0, markerPos);
-      const afterMarker = this.content.substring(markerPos);
-      
-      // Find link container start based on layout
-      let linkContainerStart;
-      if (category.layout === 'compact') {
-        linkContainerStart = beforeMarker.lastIndexOf('<div class="compact-links">');
-      } else if (category.layout === 'large') {
-        linkContainerStart = beforeMarker.lastIndexOf('<div class="large-links">');
-      } else {
-        linkContainerStart = beforeMarker.lastIndexOf('<div class="links">');
-      }
-      
-      if (linkContainerStart === -1) return;
-      
-      const linkContainerStartEnd = this.content.indexOf('>', linkContainerStart) + 1;
-      const beforeLinks = this.content.substring(0, linkContainerStartEnd);
-      const afterLinks = this.content.substring(markerPos);
-      
-      // Set empty link area with correct indentation
-      this.content = beforeLinks + '\n      ' + afterLinks;
-    });
-    
-    this.analyzer = new WikiStructureAnalyzer(this.content);
-    return this;
-  }
+  const page = await loadWikiPage(endpoint, token, pageId);
   
-  getContent() {
-    return this.content;
-  }
-}
-
-// ===== STORAGE MANAGEMENT =====
-async function saveData(key, data) {
-  await chrome.storage.sync.set({ [key]: data });
-}
-
-async function loadData(key, defaultValue) {
-  const result = await chrome.storage.sync.get({ [key]: defaultValue });
-  return result[key];
+  return wikiDataFromPage(page);
 }
 
-// ===== WIKI FUNCTIONS =====
-
 /**
- * Load a Wiki page completely with all metadata
+ * Analyzes a loaded page and stores its structure
+ * 
+ * Hand-edited HTML is read with the tolerant parser, but changes are written to the
+ * page as it is - such pages get the hint to repair them with "Check Page" first.
+ * 
+ * @param {Object} page - Page as returned by loadWikiPage
+ * @returns {Promise<Object>} Containers, categories, links, content, page, the
+ *   content options (output format) for WikiContentManager and needsCheck
  */
-async function loadWikiPage(endpoint, token, pageId) {
-  const id = Number(pageId);
-  const data = await executeGraphQL(endpoint, token, QUERY_GET_PAGE, { id });
-  const page = data?.pages?.single;
+async function wikiDataFromPage(page) {
+  const analyzer = new WikiStructureAnalyzer(page.content);
+  const { containers, categories, links } = await storeStructure(analyzer);
+  const { outputFormat, markdownClasses } = await chrome.storage.sync.get({ outputFormat: "auto", markdownClasses: true });
+  const contentOptions = { format: resolveContentFormat(page, outputFormat), classes: markdownClasses };
   
-  if (!page) {
-    throw new Error(`Wiki page with ID ${id} not found`);
-  }
+  const needsCheck = analyzer.content !== (page.content || "");
+  if (needsCheck) log(t('popupPageNeedsCheck'));
   
-  return page;
+  return { containers, categories, links, content: page.content, page, contentOptions, needsCheck };
 }
 
 /**
- * SIMPLIFIED WIKI.js UPDATE FUNCTION
- * Uses minimal mutation - only necessary fields based on Wiki.js documentation
+ * Applies a change to the configured wiki page (see commitPageChange)
+ * 
+ * If someone else changed the page in the meantime, the change is re-applied to the
+ * re-fetched page and the popup's structure is taken from that page.
+ * 
+ * @param {string} operation - Name of the change, shown in the journal and snapshots
+ * @param {Function} mutate - Applies the change: (contentManager, wikiData) => result
+ * @param {Object} [options] - Commit options
+ * @param {Object} [options.wikiData] - Already loaded wiki data (see syncFromWiki)
+ * @param {boolean} [options.snapshot] - Store a snapshot of the page before writing
+ * @returns {Promise<Object>} Result of mutate, the content manager and the wiki data used
  */
-async function updateWikiPage(endpoint, token, pageId, newContent) {
-  console.log("Updating Wiki page:", { pageId, contentLength: newContent.length });
-  
-  // Load current page data for basic information
-  const currentPage = await loadWikiPage(endpoint, token, pageId);
-  
-  // Convert complex tag objects to string array
-  const tagStrings = Array.isArray(currentPage.tags) 
-    ? currentPage.tags.map(tag => {
-        return (typeof tag === 'object' && tag.tag) ? tag.tag : String(tag);
-      })
-    : [];
-  
-  // SIMPLIFIED VARIABLES - only the most necessary fields
-  const variables = {
-    id: Number(pageId),
-    content: newContent,
-    title: currentPage.title || "",
-    isPublished: currentPage.isPublished !== false, // Default true
-    isPrivate: currentPage.isPrivate || false,
-    locale: currentPage.locale || "en",
-    path: currentPage.path || "",
-    tags: tagStrings
-  };
-  
-  console.log("Update variables:", variables);
-  
-  const result = await executeGraphQL(endpoint, token, MUTATION_UPDATE_PAGE, variables);
+async function commitWikiChange(operation, mutate, options = {}) {
+  const settings = await getPageSettings();
+  let data = options.wikiData || await syncFromWiki();
+  
+  const { result, contentManager } = await commitPageChange(settings, operation,
+    async (contentManager) => {
+      try {
+        return await mutate(contentManager, data);
+      } catch (e) {
+        // The change failed on markup that only the tolerant parser could read
+        if (data.needsCheck) throw new Error(`${e.message}\n${t('popupPageNeedsCheck')}`);
+        throw e;
+      }
+    }, {
+      page: data.page,
+      snapshot: options.snapshot,
+      contentOptions: () => data.contentOptions,
+      onConflict: async (page) => {
+        log(t('popupReapplying'));
+        data = await wikiDataFromPage(page);
+      }
+    });
   
-  const responseResult = result?.pages?.update?.responseResult;
-  if (!responseResult?.succeeded) {
-    const errorMsg = responseResult?.message || "Update failed";
-    throw new Error(`Wiki Update Error: ${errorMsg}`);
+  try {
+    await updateUndoButton();
+  } catch (e) {
+    console.warn("Updating the undo button failed:", e);
   }
   
-  console.log("Wiki page updated successfully");
-  return result;
+  await refreshStructure(contentManager.analyzer);
+  return { result, contentManager, wikiData: data };
 }
 
 /**
- * Synchronize extension with Wiki data
+ * Stores containers and categories (with link counts) of analyzed page content
+ * @param {WikiStructureAnalyzer} analyzer - Analyzer for the page content
+ * @returns {Promise<Object>} Extracted containers, categories and links
  */
-async function syncFromWiki() {
-  const { endpoint, token, pageId } = await chrome.storage.sync.get();
-  
-  if (!endpoint || !token || !pageId) {
-    throw new Error("Wiki configuration missing. Please configure in options.");
-  }
-  
-  const page = await loadWikiPage(endpoint, token, pageId);
-  
-  const analyzer = new WikiStructureAnalyzer(page.content);
+async function storeStructure(analyzer) {
   const containers = analyzer.extractContainers();
-  const categories = analyzer.extractCategories();
+  const links = analyzer.extractLinks();
+  const categories = analyzer.extractCategories().map(cat => ({
+    ...cat,
+    linkCount: links.filter(link => link.categoryKey === cat.key).length
+  }));
   
-  await saveData('containers', containers);
-  await saveData('categories', categories);
+  await setCachedStructure({ containers, categories });
   
-  return { containers, categories, content: page.content, page };
+  return { containers, categories, links };
 }
 
 // ===== TAB INFO EXTRACTOR =====
-async function getActiveTabInfo() {
+async function getActiveTab() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab || !tab.url || /^chrome(-extension)?:\/\//.test(tab.url) || /^vivaldi:\/\//.test(tab.url)) {
-    throw new Error("This page cannot be linked (internal browser page)");
+    throw new Error(t('cannotLinkPage'));
   }
+  return tab;
+}
 
+/**
+ * Link data of a tab with page metadata and a draft icon/preview (nothing uploaded yet)
+ * @param {Object} tab - Tab to link
+ * @returns {Promise<Object>} Link data
+ */
+async function getTabInfo(tab) {
   const u = new URL(tab.url);
-  const iconUrl = `https://www.google.com/s2/favicons?domain=${u.hostname}&sz=32`;
-  return {
+  const tabInfo = {
     url: tab.url,
     title: tab.title || u.hostname,
-    host: u.hostname,
-    iconUrl
+    host: u.hostname
   };
+  
+  return draftLinkAssets(applyPageMetadata(tabInfo, await readPageMetadata(tab.id)), tab);
 }
 
 // ===== UI UPDATE FUNCTIONS =====
 async function updateContainerSelect() {
   const select = $("#containerSelect");
-  const containers = await loadData('containers', []);
+  const { containers } = await getCachedStructure();
   
-  select.innerHTML = '<option value="">-- Create New Container --</option>';
+  select.innerHTML = '';
+  select.appendChild(new Option(t('popupCreateNewContainerOption'), ''));
   
   containers.forEach(container => {
     const option = document.createElement('option');
     option.value = container.key;
-    option.textContent = `${container.name} (${container.columns} columns)`;
+    option.textContent = t('containerWithColumns', container.name, container.columns);
     select.appendChild(option);
   });
 }
 
 async function updateCategorySelect() {
   const select = $("#categorySelect");
-  const categories = await loadData('categories', []);
-  const containers = await loadData('containers', []);
+  const { categories, containers } = await getCachedStructure();
   
-  select.innerHTML = '<option value="">-- Select Category --</option>';
+  select.innerHTML = '';
+  select.appendChild(new Option(t('selectCategoryOption'), ''));
   
   categories.forEach(cat => {
     const container = containers.find(c => c.key === cat.containerKey);
-    const containerInfo = container ? `${container.name} (${container.columns} columns)` : cat.containerKey;
-    const layoutName = cat.layout === 'compact' ? 'List' : cat.layout === 'large' ? 'Large' : 'Cards';
+    const containerInfo = container ? t('containerWithColumns', container.name, container.columns) : cat.containerKey;
+    const layoutName = t(cat.layout === 'compact' ? 'layoutList' : cat.layout === 'large' ? 'layoutPreview' : 'layoutCards');
     
     const option = document.createElement('option');
     option.value = cat.key;
-    option.textContent = `${cat.name} | ${containerInfo} | ${layoutName}`;
+    const linkInfo = cat.linkCount !== undefined ? ` (${cat.linkCount})` : '';
+    option.textContent = `${cat.name}${linkInfo} | ${containerInfo} | ${layoutName}`;
     select.appendChild(option);
   });
 }
@@ -592,7 +241,7 @@ function updateColumnSelect() {
     for (let i = 0; i < containerColumns; i++) {
       const option = document.createElement('option');
       option.value = i;
-      option.textContent = `Column ${i + 1}`;
+      option.textContent = t('columnNumber', i + 1);
       columnSelect.appendChild(option);
     }
   }
@@ -604,6 +253,50 @@ function updateColumnSelect() {
   }
 }
 
+/**
+ * Shows an inline choice dialog and waits for the user's decision
+ * @param {string} message - Question to show
+ * @param {Array<{value: string, label: string}>} choices - Possible answers
+ * @returns {Promise<string>} Value of the chosen answer
+ */
+function askChoice(message, choices) {
+  const dialog = $("#choiceDialog");
+  const buttons = $("#choiceButtons");
+  
+  $("#choiceMessage").textContent = message;
+  buttons.innerHTML = '';
+  
+  return new Promise(resolve => {
+    choices.forEach(choice => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = choice.label;
+      button.addEventListener('click', () => {
+        dialog.style.display = 'none';
+        resolve(choice.value);
+      });
+      buttons.appendChild(button);
+    });
+    
+    dialog.style.display = 'block';
+  });
+}
+
+/**
+ * Stores the structure of changed page content and refreshes both selects
+ * @param {WikiStructureAnalyzer} analyzer - Analyzer for the current page content
+ */
+async function refreshStructure(analyzer) {
+  await storeStructure(analyzer);
+  
+  const selectedContainer = $("#containerSelect").value;
+  const selectedCategory = $("#categorySelect").value;
+  await updateContainerSelect();
+  await updateCategorySelect();
+  $("#containerSelect").value = selectedContainer;
+  $("#categorySelect").value = selectedCategory;
+}
+
 // ===== MAIN FUNCTIONS =====
 
 /**
@@ -611,23 +304,28 @@ function updateColumnSelect() {
  */
 async function testConnection() {
   try {
-    log("Testing connection and synchronizing structure...");
+    log(t('popupTesting'));
     const wikiData = await syncFromWiki();
     
-    log(`✅ Connection successful!
+    let message = t('popupConnectionSuccess', wikiData.containers.length, wikiData.categories.length, wikiData.links.length);
     
-Found structure:
-- Containers: ${wikiData.containers.length}
-- Categories: ${wikiData.categories.length}
-
-Structure has been synchronized.`);
+    // Hand-made link pages can be adopted instead of starting over
+    if (wikiData.categories.length === 0) {
+      const { sections } = readLinkLists(wikiData.content, sourceFormat(wikiData.page));
+      const links = sections.reduce((sum, section) => sum + section.links.length, 0);
+      if (links > 0) message += `\n${t('popupAdoptHint', links)}`;
+    } else if (wikiData.needsCheck) {
+      message += `\n${t('popupPageNeedsCheck')}`;
+    }
+    
+    log(message);
     
     await updateContainerSelect();
     await updateCategorySelect();
     
   } catch (e) {
     console.error("Connection test failed:", e);
-    log(`❌ Connection failed: ${e.message}`);
+    log(t('popupConnectionFailed', e.message));
   }
 }
 
@@ -664,55 +362,195 @@ async function handleLoadDemo() {
 }
 
 /**
- * Add link to selected category
+ * Add the link from the preview to selected category
  */
 async function addCard() {
+  if (!previewLink) {
+    await openLinkPreview();
+    return;
+  }
+  
+  let tab = editedLink();
+  
   try {
-    log("Creating link card...");
+    log(t('popupCreatingCard'));
     
-    const tab = await getActiveTabInfo();
     const selectedCategoryKey = $("#categorySelect").value;
     
     if (!selectedCategoryKey) {
-      throw new Error("Please select a category or create a new one.");
+      throw new Error(t('popupSelectCategoryFirst'));
+    }
+    if (!tab.title) {
+      throw new Error(t('popupEnterTitle'));
     }
     
-    const { endpoint, token, pageId } = await chrome.storage.sync.get();
     const wikiData = await syncFromWiki();
-    const contentManager = new WikiContentManager(wikiData.content);
     
-    contentManager.addLinkToCategory(tab, selectedCategoryKey);
+    const categoryNameOf = (key) => {
+      const cat = wikiData.categories.find(c => c.key === key);
+      return cat ? cat.name : (key || t('outsideAnyCategory'));
+    };
     
-    await updateWikiPage(endpoint, token, pageId, contentManager.getContent());
+    let action = null;
+    const duplicates = new WikiStructureAnalyzer(wikiData.content).findDuplicateLinks(tab.url);
+    if (duplicates.length > 0) {
+      const locations = [...new Set(duplicates.map(link => categoryNameOf(link.categoryKey)))];
+      const choices = [
+        { value: 'skip', label: t('popupSkip') },
+        { value: 'add', label: t('popupAddAnyway') }
+      ];
+      if (duplicates.some(link => link.categoryKey !== selectedCategoryKey)) {
+        choices.push({ value: 'move', label: t('popupMoveTo', categoryNameOf(selectedCategoryKey)) });
+      }
+      
+      log(t('popupAlreadyOnPage'));
+      action = await askChoice(t('popupAlreadyExistsIn', locations.join(', ')), choices);
+      
+      if (action === 'skip') {
+        closeLinkPreview();
+        log(t('popupNotAddedExists', locations.join(', ')));
+        return;
+      }
+    }
     
-    const categories = await loadData('categories', []);
-    const category = categories.find(cat => cat.key === selectedCategoryKey);
-    const categoryName = category ? category.name : selectedCategoryKey;
+    const category = wikiData.categories.find(c => c.key === selectedCategoryKey);
+    tab = await applyLinkAssets(tab, previewTab, { preview: category?.layout === 'large' });
     
-    log(`✅ Link successfully added!
-
-Category: ${categoryName}
-Title: "${tab.title}"
-URL: ${tab.url}
-
-The page has been updated and is immediately available.`);
+    const { result } = await commitWikiChange(t('operationAddLink', tab.title), (contentManager) => {
+      // Duplicates are checked again: a re-applied change sees the fresh content
+      const currentDuplicates = contentManager.analyzer.findDuplicateLinks(tab.url);
+      
+      if (action === 'move' && currentDuplicates.length > 0) {
+        // The existing cards are replaced by the edited card - in place if one is already in the target category
+        const keep = currentDuplicates.find(link => link.categoryKey === selectedCategoryKey);
+        contentManager.removeLinks(currentDuplicates.filter(link => link !== keep));
+        
+        const [existing] = contentManager.analyzer.findDuplicateLinks(tab.url);
+        if (existing) contentManager.removeLinks([existing]);
+        contentManager.addLinkToCategory(tab, selectedCategoryKey, existing?.position);
+        return 'moved';
+      }
+      
+      if (action !== 'add' && currentDuplicates.length > 0) {
+        throw new Error(t('popupAddedMeantime'));
+      }
+      
+      contentManager.addLinkToCategory(tab, selectedCategoryKey);
+      return 'added';
+    }, { wikiData });
+    
+    // Used by the keyboard shortcut (see background.js)
+    await saveData('lastCategory', selectedCategoryKey);
+    closeLinkPreview();
+    
+    if (result === 'moved') {
+      log(t('popupLinkMovedToCategory', tab.title, categoryNameOf(selectedCategoryKey)));
+      return;
+    }
+    
+    const tags = tab.tags.length > 0 ? t('popupTagsLine', tab.tags.join(', ')) : '';
+    log(t('popupLinkAdded', categoryNameOf(selectedCategoryKey), tab.title, tab.url, tags));
+    
+    const variants = await addToLocaleVariants([{ linkInfo: tab, categoryKey: selectedCategoryKey, categoryName: categoryNameOf(selectedCategoryKey) }]);
+    if (variants) log(t('popupLinkAdded', categoryNameOf(selectedCategoryKey), tab.title, tab.url, tags) + variants);
     
   } catch (e) {
     console.error("Add card failed:", e);
-    log(`❌ Error adding: ${e.message}`);
+    
+    // Wiki not reachable: queue the link instead of losing it
+    if (e instanceof WikiNetworkError && await queueCurrentLink(e, tab)) {
+      closeLinkPreview();
+      return;
+    }
+    
+    log(t('popupErrorAdding', e.message));
     
     // Fallback: Copy HTML to clipboard
     try {
-      const tab = await getActiveTabInfo();
       const card = HTML_TEMPLATES.link(tab, 'cards');
       await navigator.clipboard.writeText(card);
-      log(`\n📋 The link card has been copied to clipboard.`);
+      log(t('popupCardCopied'));
     } catch (clipErr) {
       console.error("Clipboard fallback failed:", clipErr);
     }
   }
 }
 
+/**
+ * Adds links to the other locale variants of the page if "addToAllLocales" is set
+ * @param {Array<Object>} items - Links ({ linkInfo, categoryKey, categoryName }) with icons and previews applied
+ * @returns {Promise<string>} Summary for the log, empty if there is nothing to do
+ */
+async function addToLocaleVariants(items) {
+  const settings = await getPageSettings({ addToAllLocales: false });
+  if (!settings.addToAllLocales || settings.localeVariants.length === 0) return "";
+  
+  const results = await saveLinksToLocaleVariants(items, settings);
+  return t('popupLocaleVariantsLine', formatLocaleResults(results));
+}
+
+// ===== LINK PREVIEW =====
+
+// Link of the active tab while it is edited in the preview, and the tab itself
+let previewLink = null;
+let previewTab = null;
+
+/**
+ * Shows the link of the active tab as it will be rendered, with editable title, description and tags
+ */
+async function openLinkPreview() {
+  try {
+    if (!$("#categorySelect").value) {
+      throw new Error(t('popupSelectCategoryFirst'));
+    }
+    
+    previewTab = await getActiveTab();
+    previewLink = await getTabInfo(previewTab);
+    $("#linkTitle").value = previewLink.title;
+    $("#linkDesc").value = previewLink.description || '';
+    $("#linkTags").value = parseTags(previewLink.tags).join(', ');
+    
+    await renderLinkPreview();
+    $("#linkPreviewForm").style.display = 'block';
+    $("#linkTitle").focus();
+    
+  } catch (e) {
+    log(t('errorMessage', e.message));
+  }
+}
+
+/**
+ * Link of the preview with the values of the form fields
+ * @returns {Object} Link data for HTML_TEMPLATES.link
+ */
+function editedLink() {
+  return {
+    ...previewLink,
+    title: $("#linkTitle").value.trim(),
+    description: $("#linkDesc").value.replace(/\s+/g, ' ').trim(),
+    tags: parseTags($("#linkTags").value)
+  };
+}
+
+/**
+ * Renders the preview card in the layout of the selected category
+ */
+async function renderLinkPreview() {
+  if (!previewLink) return;
+  
+  const { categories } = await getCachedStructure();
+  const category = categories.find(cat => cat.key === $("#categorySelect").value);
+  const link = editedLink();
+  
+  $("#linkPreview").innerHTML = HTML_TEMPLATES.link({ ...link, title: link.title || link.host }, category?.layout || 'cards');
+}
+
+function closeLinkPreview() {
+  previewLink = null;
+  previewTab = null;
+  $("#linkPreviewForm").style.display = 'none';
+}
+
 /**
  * Create a new container
  */
@@ -721,41 +559,30 @@ async function createNewContainer() {
   const columns = parseInt($("#containerColumns").value);
   
   if (!name) {
-    log("❌ Error: Please enter a name for the container.");
+    log(t('errorMessage', t('popupEnterContainerName')));
     return;
   }
   
   const key = name.toLowerCase().replace(/[^a-z0-9äöüß]/g, '_').replace(/_+/g, '_');
   
-  const containers = await loadData('containers', []);
+  const { containers } = await getCachedStructure();
   
   if (containers.some(container => container.key === key)) {
-    log("❌ Error: A container with this name already exists.");
+    log(t('errorMessage', t('popupContainerExists')));
     return;
   }
   
   try {
-    const { endpoint, token, pageId } = await chrome.storage.sync.get();
-    const wikiData = await syncFromWiki();
-    const contentManager = new WikiContentManager(wikiData.content);
+    await commitWikiChange(t('operationCreateContainer', name), contentManager => contentManager.addContainer(key, name, columns));
     
-    contentManager.addContainer(key, name, columns);
-    
-    await updateWikiPage(endpoint, token, pageId, contentManager.getContent());
-    
-    const newContainer = { key, name, columns };
-    containers.push(newContainer);
-    await saveData('containers', containers);
-    
-    await updateContainerSelect();
     $("#containerSelect").value = key;
     $("#newContainerForm").style.display = 'none';
     
-    log(`✅ Container "${name}" successfully created and saved to wiki`);
+    log(t('popupContainerCreated', name));
     
   } catch (e) {
     console.error("Create container failed:", e);
-    log(`❌ Error creating: ${e.message}`);
+    log(t('popupErrorCreating', e.message));
   }
 }
 
@@ -774,12 +601,12 @@ async function createNewCategory() {
   const layout = selectedLayoutButton ? selectedLayoutButton.dataset.layout : 'cards';
   
   if (!name) {
-    log("❌ Error: Please enter a name for the category.");
+    log(t('errorMessage', t('popupEnterCategoryName')));
     return;
   }
   
   if (!containerKey) {
-    log("❌ Error: Please select a container or create a new one.");
+    log(t('errorMessage', t('popupSelectContainerOrCreate')));
     return;
   }
   
@@ -793,84 +620,1116 @@ async function createNewCategory() {
     .replace(/[-_]{2,}/g, '_');
   
   try {
-    const { endpoint, token, pageId } = await chrome.storage.sync.get();
-    const wikiData = await syncFromWiki();
-    
-    const existingCategories = wikiData.categories;
-    const duplicateName = existingCategories.find(cat => cat.name.toLowerCase() === name.toLowerCase());
-    
-    if (duplicateName) {
-      log(`❌ Error: A category with the name "${name}" already exists.\n\nCategory names must be unique.`);
-      return;
-    }
-    
-    const contentManager = new WikiContentManager(wikiData.content);
     const newCategory = { key, name, description, layout, accent, containerKey, column };
     
-    contentManager.addCategory(newCategory);
-    
-    await updateWikiPage(endpoint, token, pageId, contentManager.getContent());
-    
-    const categories = await loadData('categories', []);
-    categories.push(newCategory);
-    await saveData('categories', categories);
+    await commitWikiChange(t('operationCreateCategory', name), (contentManager) => {
+      const existingCategories = contentManager.analyzer.extractCategories();
+      const duplicateName = existingCategories.find(cat => cat.name.toLowerCase() === name.toLowerCase());
+      
+      if (duplicateName) {
+        throw new Error(t('popupCategoryNameExists', name));
+      }
+      
+      contentManager.addCategory(newCategory);
+    });
     
-    await updateCategorySelect();
     $("#categorySelect").value = key;
     $("#newCategoryForm").style.display = 'none';
     
-    log(`✅ Category "${name}" successfully created and saved to wiki`);
+    log(t('popupCategoryCreated', name));
     
   } catch (e) {
     console.error("Create category failed:", e);
-    log(`❌ Error creating: ${e.message}`);
+    log(t('popupErrorCreating', e.message));
   }
 }
 
-// Live Edit function
-document.getElementById('btn-liveedit')?.addEventListener('click', async () => {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab?.id) return;
-  // Inject file - no existing logic is changed
-  await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    files: ['live_edit.js']
-  });
-  window.close(); // Optionally close popup
-});
+// ===== STRUCTURE MANAGEMENT =====
 
-// ===== EVENT LISTENERS =====
-document.addEventListener("DOMContentLoaded", async function() {
-  // Set DOM reference
-  out = document.getElementById("out");
+/**
+ * Opens the edit form for the selected container
+ */
+async function openEditContainerForm() {
+  const containerKey = $("#containerSelect").value;
+  if (!containerKey) {
+    log(t('errorMessage', t('popupSelectContainerFirst')));
+    return;
+  }
   
-  // Main buttons
-  const btnTest = $("#btnTest");
+  const { containers } = await getCachedStructure();
+  const container = containers.find(c => c.key === containerKey);
+  if (!container) {
+    log(t('errorMessage', t('popupContainerNotFound')));
+    return;
+  }
+  
+  $("#editContainerName").value = container.name;
+  $("#editContainerColumns").value = String(container.columns);
+  $("#editContainerForm").style.display = 'block';
+  $("#editContainerName").focus();
+}
+
+/**
+ * Saves name and column count of the selected container
+ */
+async function saveContainerChanges() {
+  const containerKey = $("#containerSelect").value;
+  const name = $("#editContainerName").value.trim();
+  const columns = parseInt($("#editContainerColumns").value);
+  
+  try {
+    log(t('popupSavingContainer'));
+    
+    await commitWikiChange(t('operationEditContainer', name), contentManager => contentManager.updateContainer(containerKey, { name, columns }));
+    
+    $("#editContainerForm").style.display = 'none';
+    log(t('popupContainerUpdated', name));
+    
+  } catch (e) {
+    console.error("Update container failed:", e);
+    log(t('popupErrorUpdatingContainer', e.message));
+  }
+}
+
+/**
+ * Deletes the selected container after confirmation
+ * Categories of a non-empty container can be moved to another container first
+ */
+async function deleteSelectedContainer() {
+  const containerKey = $("#containerSelect").value;
+  if (!containerKey) {
+    log(t('errorMessage', t('popupSelectContainerFirst')));
+    return;
+  }
+  
+  try {
+    const wikiData = await syncFromWiki();
+    const container = wikiData.containers.find(c => c.key === containerKey);
+    const containerName = container ? container.name : containerKey;
+    const categories = wikiData.categories.filter(cat => cat.containerKey === containerKey);
+    const otherContainers = wikiData.containers.filter(c => c.key !== containerKey);
+    
+    const choices = [
+      { value: 'delete', label: categories.length > 0 ? t('popupDeleteWithCategories', categories.length) : t('delete') },
+      { value: 'cancel', label: t('cancel') }
+    ];
+    if (categories.length > 0 && otherContainers.length > 0) {
+      choices.splice(1, 0, { value: 'move', label: t('popupMoveCategoriesFirst') });
+    }
+    
+    const action = await askChoice(categories.length > 0
+      ? t('popupConfirmDeleteFullContainer', containerName, categories.length, categories.reduce((n, cat) => n + cat.linkCount, 0))
+      : t('popupConfirmDeleteContainer', containerName), choices);
+    
+    if (action === 'cancel') return;
+    
+    let moveCategoriesTo;
+    if (action === 'move') {
+      moveCategoriesTo = await askChoice(t('popupMoveCategoriesTo'), [
+        ...otherContainers.map(c => ({ value: c.key, label: c.name })),
+        { value: '', label: t('cancel') }
+      ]);
+      if (!moveCategoriesTo) return;
+    }
+    
+    log(t('popupDeletingContainer'));
+    
+    await commitWikiChange(t('operationDeleteContainer', containerName),
+      contentManager => contentManager.deleteContainer(containerKey, { moveCategoriesTo }),
+      { wikiData, snapshot: true });
+    
+    log(t('popupContainerDeleted', containerName));
+    
+  } catch (e) {
+    console.error("Delete container failed:", e);
+    log(t('popupErrorDeletingContainer', e.message));
+  }
+}
+
+/**
+ * Opens the edit form for the selected category
+ */
+async function openEditCategoryForm() {
+  const categoryKey = $("#categorySelect").value;
+  if (!categoryKey) {
+    log(t('errorMessage', t('popupSelectCategoryFirstShort')));
+    return;
+  }
+  
+  const { categories } = await getCachedStructure();
+  const category = categories.find(cat => cat.key === categoryKey);
+  if (!category) {
+    log(t('errorMessage', t('popupCategoryNotFound')));
+    return;
+  }
+  
+  $("#editCategoryName").value = category.name;
+  $("#editCategoryDesc").value = category.description;
+  $("#editCategoryAccent").value = category.accent;
+  $("#editCategoryLayout").value = category.layout;
+  $("#editCategoryForm").style.display = 'block';
+  $("#editCategoryName").focus();
+}
+
+/**
+ * Saves name, description, color and layout of the selected category
+ */
+async function saveCategoryChanges() {
+  const categoryKey = $("#categorySelect").value;
+  const name = $("#editCategoryName").value.trim();
+  const description = $("#editCategoryDesc").value.trim();
+  const accent = $("#editCategoryAccent").value;
+  const layout = $("#editCategoryLayout").value;
+  
+  try {
+    log(t('popupSavingCategory'));
+    
+    await commitWikiChange(t('operationEditCategory', name), (contentManager) => {
+      const duplicateName = contentManager.analyzer.extractCategories().find(cat => 
+        cat.key !== categoryKey && cat.name.toLowerCase() === name.toLowerCase());
+      if (duplicateName) {
+        throw new Error(t('popupCategoryNameTaken', name));
+      }
+      
+      contentManager.updateCategory(categoryKey, { name, description, accent, layout });
+    });
+    
+    $("#editCategoryForm").style.display = 'none';
+    log(t('popupCategoryUpdated', name));
+    
+  } catch (e) {
+    console.error("Update category failed:", e);
+    log(t('popupErrorUpdatingCategory', e.message));
+  }
+}
+
+/**
+ * Deletes the selected category after confirmation
+ * Links of a non-empty category can be moved to another category first
+ */
+async function deleteSelectedCategory() {
+  const categoryKey = $("#categorySelect").value;
+  if (!categoryKey) {
+    log(t('errorMessage', t('popupSelectCategoryFirstShort')));
+    return;
+  }
+  
+  try {
+    const wikiData = await syncFromWiki();
+    const category = wikiData.categories.find(cat => cat.key === categoryKey);
+    const categoryName = category ? category.name : categoryKey;
+    const linkCount = wikiData.links.filter(link => link.categoryKey === categoryKey).length;
+    const otherCategories = wikiData.categories.filter(cat => cat.key !== categoryKey);
+    
+    const choices = [
+      { value: 'delete', label: linkCount > 0 ? t('popupDeleteWithLinks', linkCount) : t('delete') },
+      { value: 'cancel', label: t('cancel') }
+    ];
+    if (linkCount > 0 && otherCategories.length > 0) {
+      choices.splice(1, 0, { value: 'move', label: t('popupMoveLinksFirst') });
+    }
+    
+    const action = await askChoice(linkCount > 0
+      ? t('popupConfirmDeleteFullCategory', categoryName, linkCount)
+      : t('popupConfirmDeleteCategory', categoryName), choices);
+    
+    if (action === 'cancel') return;
+    
+    let moveLinksTo;
+    if (action === 'move') {
+      moveLinksTo = await askChoice(t('popupMoveLinksTo'), [
+        ...otherCategories.map(cat => ({ value: cat.key, label: cat.name })),
+        { value: '', label: t('cancel') }
+      ]);
+      if (!moveLinksTo) return;
+    }
+    
+    log(t('popupDeletingCategory'));
+    
+    await commitWikiChange(t('operationDeleteCategory', categoryName),
+      contentManager => contentManager.deleteCategory(categoryKey, { moveLinksTo }),
+      { wikiData, snapshot: true });
+    
+    log(t('popupCategoryDeleted', categoryName));
+    
+  } catch (e) {
+    console.error("Delete category failed:", e);
+    log(t('popupErrorDeletingCategory', e.message));
+  }
+}
+
+// ===== LINK MANAGEMENT =====
+
+/**
+ * Shows the links of the selected category with edit and delete actions
+ */
+async function renderLinkList() {
+  const list = $("#linkList");
+  const categoryKey = $("#categorySelect").value;
+  
+  list.innerHTML = '';
+  
+  if (!categoryKey) {
+    list.textContent = t('popupSelectCategoryFirstShort');
+    return;
+  }
+  
+  list.textContent = t('popupLoadingLinks');
+  const wikiData = await syncFromWiki();
+  const links = wikiData.links.filter(link => link.categoryKey === categoryKey);
+  
+  list.innerHTML = '';
+  
+  if (links.length === 0) {
+    list.textContent = t('popupNoLinksYet');
+    return;
+  }
+  
+  links.forEach(link => {
+    const row = document.createElement('div');
+    row.className = 'link-row';
+    
+    // Drag & drop reordering within the category
+    const handle = document.createElement('span');
+    handle.className = 'link-handle';
+    handle.textContent = `⠿ ${link.position + 1}`;
+    handle.title = t('popupDragToReorder');
+    handle.draggable = true;
+    handle.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', String(link.position));
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    row.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      row.classList.add('drag-over');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      row.classList.remove('drag-over');
+      const fromPosition = Number(e.dataTransfer.getData('text/plain'));
+      const dragged = links[fromPosition];
+      // Dropped links go above the row; moving down, the row moves up once the link is taken out
+      const targetPosition = fromPosition < link.position ? link.position - 1 : link.position;
+      if (dragged && targetPosition !== fromPosition) {
+        moveLinkTo(dragged, categoryKey, targetPosition);
+      }
+    });
+    
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.value = link.title;
+    titleInput.placeholder = t('popupTitlePlaceholder');
+    
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.value = link.url;
+    urlInput.placeholder = 'https://...';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = t('save');
+    saveBtn.addEventListener('click', () => saveLinkChanges(link, titleInput.value, urlInput.value));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = t('delete');
+    deleteBtn.addEventListener('click', () => deleteLink(link));
+    
+    const moveSelect = document.createElement('select');
+    moveSelect.appendChild(new Option(t('popupMoveToOption'), ''));
+    wikiData.categories
+      .filter(cat => cat.key !== categoryKey)
+      .forEach(cat => {
+        const option = document.createElement('option');
+        option.value = cat.key;
+        option.textContent = cat.name;
+        moveSelect.appendChild(option);
+      });
+    moveSelect.addEventListener('change', () => {
+      if (moveSelect.value) moveLinkTo(link, moveSelect.value);
+    });
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    buttons.append(saveBtn, deleteBtn, moveSelect);
+    
+    row.append(handle, titleInput, urlInput, buttons);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Moves a link to another position and/or category in the wiki
+ * @param {Object} link - Link as listed (see WikiStructureAnalyzer.extractLinks)
+ * @param {string} targetCategoryKey - Target category
+ * @param {number} [targetPosition] - Position in the target category (default: append)
+ */
+async function moveLinkTo(link, targetCategoryKey, targetPosition) {
+  try {
+    log(t('popupMovingLink'));
+    
+    const { wikiData } = await commitWikiChange(t('operationMoveLink', link.title),
+      contentManager => contentManager.moveLink(link, targetCategoryKey, targetPosition));
+    
+    const target = wikiData.categories.find(cat => cat.key === targetCategoryKey);
+    log(targetCategoryKey === link.categoryKey
+      ? t('popupLinkMovedToPosition', link.title, targetPosition + 1)
+      : t('popupLinkMovedToCategory', link.title, target ? target.name : targetCategoryKey));
+    await renderLinkList();
+    
+  } catch (e) {
+    console.error("Move link failed:", e);
+    log(t('popupErrorMovingLink', e.message));
+  }
+}
+
+/**
+ * Saves an edited link title/URL to the wiki
+ * @param {Object} link - Link as listed (see WikiStructureAnalyzer.extractLinks)
+ * @param {string} title - New title
+ * @param {string} url - New URL
+ */
+async function saveLinkChanges(link, title, url) {
+  try {
+    log(t('popupSavingLink'));
+    
+    await commitWikiChange(t('operationEditLink', link.title), contentManager => contentManager.updateLink(link, { title, url }));
+    
+    log(t('popupLinkUpdated', title.trim()));
+    await renderLinkList();
+    
+  } catch (e) {
+    console.error("Update link failed:", e);
+    log(t('popupErrorUpdatingLink', e.message));
+  }
+}
+
+/**
+ * Deletes a single link from the wiki after confirmation
+ * @param {Object} link - Link as listed (see WikiStructureAnalyzer.extractLinks)
+ */
+async function deleteLink(link) {
+  const action = await askChoice(t('popupConfirmDeleteLink', link.title), [
+    { value: 'delete', label: t('delete') },
+    { value: 'cancel', label: t('cancel') }
+  ]);
+  
+  if (action !== 'delete') return;
+  
+  try {
+    log(t('popupDeletingLink'));
+    
+    await commitWikiChange(t('operationDeleteLink', link.title), contentManager => contentManager.removeLink(link));
+    
+    log(t('popupLinkDeleted', link.title));
+    await renderLinkList();
+    
+  } catch (e) {
+    console.error("Delete link failed:", e);
+    log(t('popupErrorDeletingLink', e.message));
+  }
+}
+
+// ===== BULK ADD =====
+
+// Rows of the bulk list: { linkInfo, checkbox, categorySelect }
+let bulkRows = [];
+
+/**
+ * Fills a select with the stored categories
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array<Object>} categories - Stored categories
+ * @param {string} emptyLabel - Label of the empty first option
+ */
+function fillCategoryOptions(select, categories, emptyLabel) {
+  select.innerHTML = '';
+  
+  const empty = document.createElement('option');
+  empty.value = '';
+  empty.textContent = emptyLabel;
+  select.appendChild(empty);
+  
+  categories.forEach(cat => {
+    const option = document.createElement('option');
+    option.value = cat.key;
+    option.textContent = cat.name;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Lists the tabs of the current window (or the highlighted ones) for bulk adding
+ * Tabs that are already on the wiki page are listed, but not ticked
+ */
+async function renderBulkList() {
+  const list = $("#bulkList");
+  const highlightedOnly = $("#bulkScope").value === 'highlighted';
+  
+  list.textContent = t('popupLoadingTabs');
+  
+  const wikiData = await syncFromWiki();
+  const analyzer = new WikiStructureAnalyzer(wikiData.content);
+  const tabs = await chrome.tabs.query(highlightedOnly
+    ? { currentWindow: true, highlighted: true }
+    : { currentWindow: true });
+  
+  const allCategory = $("#bulkCategory");
+  const selectedCategory = allCategory.value || $("#categorySelect").value;
+  fillCategoryOptions(allCategory, wikiData.categories, t('selectCategoryOption'));
+  allCategory.value = selectedCategory;
+  
+  list.innerHTML = '';
+  bulkRows = [];
+  
+  tabs.forEach(tab => {
+    let linkInfo;
+    try {
+      linkInfo = createLinkInfo(tab.url, tab.title);
+    } catch {
+      return; // Internal browser pages cannot be linked
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'link-row';
+    
+    const duplicates = analyzer.findDuplicateLinks(linkInfo.url);
+    
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = duplicates.length === 0;
+    label.append(checkbox, ` ${linkInfo.title}`);
+    label.title = linkInfo.url;
+    row.appendChild(label);
+    
+    if (duplicates.length > 0) {
+      const note = document.createElement('div');
+      note.textContent = t('popupAlreadyOnPageNote');
+      row.appendChild(note);
+    }
+    
+    const categorySelect = document.createElement('select');
+    fillCategoryOptions(categorySelect, wikiData.categories, t('popupCategoryForAll'));
+    row.appendChild(categorySelect);
+    
+    list.appendChild(row);
+    bulkRows.push({ tab, linkInfo, checkbox, categorySelect });
+  });
+  
+  if (bulkRows.length === 0) {
+    list.textContent = t('popupNoLinkableTabs');
+  }
+}
+
+/**
+ * Adds all ticked tabs with a single page update
+ * Links that are on the page already (or twice in the selection) are skipped
+ */
+async function addSelectedTabs() {
+  const allCategoryKey = $("#bulkCategory").value;
+  const selected = bulkRows
+    .filter(row => row.checkbox.checked)
+    .map(row => ({ tab: row.tab, linkInfo: row.linkInfo, categoryKey: row.categorySelect.value || allCategoryKey }));
+  
+  if (selected.length === 0) {
+    log(t('errorMessage', t('popupTickOneTab')));
+    return;
+  }
+  
+  if (selected.some(item => !item.categoryKey)) {
+    log(t('errorMessage', t('popupSelectCategoryForTabs')));
+    return;
+  }
+  
+  try {
+    log(t('popupAddingLinks', selected.length));
+    
+    // Only the ticked tabs are read, one after another
+    for (const item of selected) {
+      item.linkInfo = await draftLinkAssets(applyPageMetadata(item.linkInfo, await readPageMetadata(item.tab.id)), item.tab);
+    }
+    
+    const { categories } = await getCachedStructure();
+    for (const item of selected) {
+      const category = categories.find(cat => cat.key === item.categoryKey);
+      item.linkInfo = await applyLinkAssets(item.linkInfo, item.tab, { preview: category?.layout === 'large' });
+    }
+    
+    const { result } = await commitWikiChange(t('operationAddLinks', selected.length), (contentManager) => {
+      const added = [];
+      const skipped = [];
+      
+      selected.forEach(({ linkInfo, categoryKey }) => {
+        // Checked against the fresh content, so it also covers links added earlier in this batch
+        if (contentManager.analyzer.findDuplicateLinks(linkInfo.url).length > 0) {
+          skipped.push(linkInfo.title);
+          return;
+        }
+        contentManager.addLinkToCategory(linkInfo, categoryKey);
+        added.push(linkInfo.title);
+      });
+      
+      if (added.length === 0) {
+        throw new Error(t('popupAllAlreadyOnPage'));
+      }
+      return { added, skipped };
+    });
+    
+    await saveData('lastCategory', allCategoryKey || selected[0].categoryKey);
+    
+    const skipped = result.skipped.length > 0 ? t('popupSkippedLine', result.skipped.join(', ')) : '';
+    log(t('popupLinksAdded', result.added.length, skipped));
+    
+    // Links skipped here may still be missing on the other pages
+    const variants = await addToLocaleVariants(selected.map(({ linkInfo, categoryKey }) => ({
+      linkInfo,
+      categoryKey,
+      categoryName: categories.find(cat => cat.key === categoryKey)?.name
+    })));
+    if (variants) log(t('popupLinksAdded', result.added.length, skipped) + variants);
+    
+    await renderBulkList();
+    
+  } catch (e) {
+    console.error("Bulk add failed:", e);
+    
+    if (e instanceof WikiNetworkError) {
+      const { categories } = await getCachedStructure();
+      const { pageId } = await getPageSettings();
+      
+      for (const { linkInfo, categoryKey } of selected) {
+        const category = categories.find(cat => cat.key === categoryKey);
+        await enqueueLink(linkInfo, categoryKey, category ? category.name : categoryKey, pageId);
+      }
+      await renderPendingLinks();
+      
+      log(t('popupLinksQueued', e.message, selected.length));
+      return;
+    }
+    
+    log(t('popupErrorAddingLinks', e.message));
+  }
+}
+
+// ===== PENDING LINKS =====
+
+/**
+ * Queues the current tab for the selected category while the wiki is unreachable
+ * @param {Error} error - The network error that prevented adding the link
+ * @param {Object} tab - Link data as edited in the preview
+ * @returns {Promise<boolean>} Whether the link was queued
+ */
+async function queueCurrentLink(error, tab) {
+  try {
+    const categoryKey = $("#categorySelect").value;
+    if (!categoryKey) return false;
+    
+    const { pageId } = await getPageSettings();
+    const { categories } = await getCachedStructure();
+    const category = categories.find(cat => cat.key === categoryKey);
+    const categoryName = category ? category.name : categoryKey;
+    
+    await enqueueLink(tab, categoryKey, categoryName, pageId);
+    await renderPendingLinks();
+    
+    log(t('popupLinkQueued', error.message, tab.title, categoryName));
+    return true;
+    
+  } catch (queueErr) {
+    console.error("Queueing link failed:", queueErr);
+    return false;
+  }
+}
+
+/**
+ * Shows the queued links with a discard action
+ */
+async function renderPendingLinks() {
+  const panel = $("#pendingLinks");
+  const list = $("#pendingList");
+  if (!panel || !list) return;
+  
+  const queue = await listQueuedLinks();
+  list.innerHTML = '';
+  panel.style.display = queue.length > 0 ? 'block' : 'none';
+  
+  queue.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'link-row';
+    
+    const info = document.createElement('div');
+    info.textContent = t('popupPendingItem', item.tab.title, item.categoryName, new Date(item.queuedAt).toLocaleString());
+    row.appendChild(info);
+    
+    if (item.error) {
+      const error = document.createElement('div');
+      error.textContent = `❌ ${item.error}`;
+      row.appendChild(error);
+    }
+    
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.textContent = t('popupDiscard');
+    discardBtn.addEventListener('click', async () => {
+      await discardQueuedLink(item.id);
+      await renderPendingLinks();
+    });
+    row.appendChild(discardBtn);
+    
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Adds queued links if the wiki is reachable again
+ */
+async function flushPendingLinks() {
+  try {
+    const { added } = await flushLinkQueue();
+    
+    if (added > 0) {
+      await syncFromWiki();
+      await updateCategorySelect();
+      await updateUndoButton();
+      log(added === 1 ? t('popupQueuedLinkAdded') : t('popupQueuedLinksAdded', added));
+    }
+  } catch (e) {
+    console.error("Flushing queued links failed:", e);
+  }
+  
+  await renderPendingLinks();
+}
+
+// ===== PROFILES =====
+
+/**
+ * Fills the profile switcher; it is only shown if there is more than one profile
+ */
+async function renderProfileSelect() {
+  const select = $("#profileSelect");
+  if (!select) return;
+  
+  const profiles = await listProfiles();
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = await getActiveProfileId();
+  
+  $("#profileRow").style.display = profiles.length > 1 ? 'flex' : 'none';
+}
+
+/**
+ * Activates the profile chosen in the switcher and synchronizes its page
+ */
+async function changeProfile() {
+  const select = $("#profileSelect");
+  
+  try {
+    await switchProfile(select.value);
+    
+    // Panels still show the page of the previous profile
+    closeLinkPreview();
+    ["#bulkPanel", "#linkManager", "#snapshotPanel", "#pageCheckPanel", "#adoptPanel", "#editContainerForm", "#editCategoryForm"].forEach(selector => {
+      const panel = $(selector);
+      if (panel) panel.style.display = 'none';
+    });
+    
+    await updateContainerSelect();
+    await updateCategorySelect();
+    await updateUndoButton();
+    await testConnection();
+    await flushPendingLinks();
+    
+  } catch (e) {
+    console.error("Switching profile failed:", e);
+    log(t('popupErrorSwitchingProfile', e.message));
+    await renderProfileSelect();
+  }
+}
+
+// ===== UNDO =====
+
+/**
+ * Shows the latest undoable change on the undo button
+ */
+async function updateUndoButton() {
+  const button = $("#btnUndo");
+  if (!button) return;
+  
+  const { pageId } = await getPageSettings();
+  const entry = await getLastOperation(pageId);
+  
+  button.disabled = !entry;
+  button.title = entry ? t('popupUndoTitle', entry.operation) : t('popupNothingToUndoTitle');
+}
+
+/**
+ * Reverts the latest change made from the popup
+ * Refuses if the page was changed on the server since that change
+ */
+async function undoLastChange() {
+  try {
+    const { endpoint, token, pageId } = await getPageSettings();
+    const entry = await getLastOperation(pageId);
+    
+    if (!entry) {
+      log(t('popupNothingToUndo'));
+      return;
+    }
+    
+    log(t('popupUndoing', entry.operation));
+    
+    let updateResult;
+    try {
+      updateResult = await updateWikiPageChecked(endpoint, token, pageId, entry.before, entry.updatedAt);
+    } catch (e) {
+      if (!(e instanceof PageConflictError)) throw e;
+      throw new Error(t('popupUndoConflict', entry.operation, e.currentPage.updatedAt));
+    }
+    
+    await completeUndo(entry, await updatedAtAfterUpdate(updateResult, endpoint, token, pageId));
+    await updateUndoButton();
+    await refreshStructure(new WikiStructureAnalyzer(entry.before));
+    
+    log(t('popupUndone', entry.operation));
+    
+  } catch (e) {
+    console.error("Undo failed:", e);
+    log(t('popupErrorUndoing', e.message));
+  }
+}
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Lists the stored snapshots of the configured page
+ */
+async function renderSnapshotList() {
+  const { pageId } = await getPageSettings();
+  const snapshots = await listSnapshots(pageId);
+  const select = $("#snapshotSelect");
+  
+  select.innerHTML = '';
+  
+  if (snapshots.length === 0) {
+    select.appendChild(new Option(t('popupNoSnapshotsOption'), ''));
+    $("#snapshotDiff").textContent = '';
+    return;
+  }
+  
+  snapshots.forEach(snapshot => {
+    const option = document.createElement('option');
+    option.value = snapshot.id;
+    option.textContent = `${new Date(snapshot.timestamp).toLocaleString()} | ${snapshot.operation}`;
+    select.appendChild(option);
+  });
+  
+  await showSnapshotDiff();
+}
+
+/**
+ * Shows what restoring the selected snapshot would change on the current page
+ */
+async function showSnapshotDiff() {
+  const diffOut = $("#snapshotDiff");
+  const snapshot = await getSnapshot($("#snapshotSelect").value);
+  
+  if (!snapshot) {
+    diffOut.textContent = '';
+    return;
+  }
+  
+  diffOut.textContent = t('popupLoadingCurrentPage');
+  
+  try {
+    const { endpoint, token, pageId } = await getPageSettings();
+    const page = await loadWikiPage(endpoint, token, pageId);
+    const diff = diffLines(page.content, snapshot.content);
+    const { added, removed } = countChanges(diff);
+    
+    diffOut.textContent = t('popupRestoreDiff', removed, added, formatDiff(diff));
+  } catch (e) {
+    diffOut.textContent = t('popupCouldNotLoadPage', e.message);
+  }
+}
+
+/**
+ * Writes the selected snapshot back to the wiki page after confirmation
+ */
+async function restoreSelectedSnapshot() {
+  const snapshot = await getSnapshot($("#snapshotSelect").value);
+  if (!snapshot) {
+    log(t('errorMessage', t('popupSelectSnapshotFirst')));
+    return;
+  }
+  
+  const { pageId } = await getPageSettings();
+  if (snapshot.pageId !== Number(pageId)) {
+    log(t('errorMessage', t('popupSnapshotOtherPage', snapshot.pageId, pageId)));
+    return;
+  }
+  
+  const action = await askChoice(t('popupConfirmRestore', new Date(snapshot.timestamp).toLocaleString(), snapshot.operation), [
+    { value: 'restore', label: t('popupRestoreButton') },
+    { value: 'cancel', label: t('cancel') }
+  ]);
+  
+  if (action !== 'restore') return;
+  
+  try {
+    log(t('popupRestoringSnapshot'));
+    
+    // The replaced content is stored as a snapshot as well, so a restore can be undone
+    await commitWikiChange(t('operationRestoreSnapshot'), contentManager => contentManager.setContent(snapshot.content), {
+      snapshot: true
+    });
+    
+    log(t('popupSnapshotRestored', new Date(snapshot.timestamp).toLocaleString()));
+    await renderSnapshotList();
+    
+  } catch (e) {
+    console.error("Restore snapshot failed:", e);
+    log(t('popupErrorRestoringSnapshot', e.message));
+  }
+}
+
+/**
+ * Deletes the selected snapshot from local storage
+ */
+async function deleteSelectedSnapshot() {
+  const id = $("#snapshotSelect").value;
+  if (!id) return;
+  
+  await deleteSnapshot(id);
+  await renderSnapshotList();
+}
+
+// ===== PAGE CHECK =====
+
+/**
+ * Checks the markers of the page and previews what a repair would change
+ */
+async function checkPage() {
+  const checkOut = $("#pageCheckOut");
+  const repairBtn = $("#repairPageBtn");
+  
+  checkOut.textContent = t('popupCheckingPage');
+  repairBtn.disabled = true;
+  
+  try {
+    const { content } = await syncFromWiki();
+    const problems = checkPageStructure(content);
+    
+    if (problems.length === 0) {
+      checkOut.textContent = t('popupPageCheckOk');
+      return;
+    }
+    
+    const list = problems
+      .map(problem => `• ${problem.message}${problem.repairable ? '' : ` ${t('popupFixByHand')}`}`)
+      .join('\n');
+    const repaired = repairPageStructure(content);
+    let preview = t('popupNothingToRepair');
+    
+    if (repaired !== content) {
+      const diff = diffLines(content, repaired);
+      const { added, removed } = countChanges(diff);
+      preview = t('popupRepairDiff', removed, added, formatDiff(diff));
+      repairBtn.disabled = false;
+    }
+    
+    checkOut.textContent = `${t('popupPageProblems', problems.length)}\n${list}\n\n${preview}`;
+  } catch (e) {
+    console.error("Page check failed:", e);
+    checkOut.textContent = t('popupErrorCheckingPage', e.message);
+  }
+}
+
+/**
+ * Writes the repaired page (a snapshot of the broken page is kept)
+ */
+async function repairPage() {
+  try {
+    log(t('popupRepairingPage'));
+    
+    // Repaired from the content at the time of writing, which may be newer than the preview
+    const { result: remaining } = await commitWikiChange(t('operationRepairPage'), (contentManager, data) => {
+      const repaired = repairPageStructure(data.content);
+      if (repaired === data.content) throw new Error(t('popupNothingToRepair'));
+      
+      contentManager.setContent(repaired);
+      return checkPageStructure(repaired);
+    }, { snapshot: true });
+    
+    log(remaining.length === 0 ? t('popupPageRepaired') : t('popupPageRepairedRemaining', remaining.length));
+    await checkPage();
+    
+  } catch (e) {
+    console.error("Page repair failed:", e);
+    log(t('popupErrorRepairingPage', e.message));
+  }
+}
+
+// ===== ADOPT PAGE =====
+
+// Format of the page's current content
+function sourceFormat(page) {
+  return page.editor === 'markdown' ? 'markdown' : 'html';
+}
+
+// Options for adoptLinkPage from the adopt panel
+function adoptOptions(data) {
+  return {
+    ...data.contentOptions,
+    sourceFormat: sourceFormat(data.page),
+    containerName: $("#adoptContainerName").value,
+    columns: parseInt($("#adoptColumns").value),
+    layout: $("#adoptLayout").value
+  };
+}
+
+const countAdoptedLinks = (adopted) => adopted.categories.reduce((sum, category) => sum + category.links, 0);
+
+// Adopted page as shown in the preview, and the page data it was built from
+let adoptPreview = null;
+
+// Changed adopt options need a new preview before the page can be overwritten
+function discardAdoptPreview() {
+  adoptPreview = null;
+  $("#adoptBtn").disabled = true;
+}
+
+/**
+ * Shows the categories and links found under the headings of the page and the resulting diff
+ */
+async function previewAdoptPage() {
+  const previewOut = $("#adoptPreview");
+  const adoptBtn = $("#adoptBtn");
+  
+  previewOut.textContent = t('popupLoadingCurrentPage');
+  discardAdoptPreview();
+  
+  try {
+    const data = await syncFromWiki();
+    const adopted = await adoptLinkPage(data.content, adoptOptions(data));
+    const diff = diffLines(data.content, adopted.content);
+    const { added, removed } = countChanges(diff);
+    
+    const summary = adopted.categories.map(category => `• ${category.name} (${category.links})`).join('\n');
+    const skipped = adopted.skipped.length === 0 ? '' :
+      `\n\n${t('popupAdoptSkipped', adopted.skipped.length)}\n${adopted.skipped.map(text => `  ${text}`).join('\n')}`;
+    
+    previewOut.textContent = `${t('popupAdoptSummary', adopted.categories.length, countAdoptedLinks(adopted))}\n${summary}${skipped}\n\n` +
+      t('popupAdoptDiff', removed, added, formatDiff(diff));
+    adoptPreview = { adopted, wikiData: data };
+    adoptBtn.disabled = false;
+  } catch (e) {
+    console.error("Adopt preview failed:", e);
+    previewOut.textContent = t('popupErrorAdoptingPage', e.message);
+  }
+}
+
+/**
+ * Overwrites the page with the adopted structure from the preview after confirmation (a snapshot is kept)
+ * If the page was changed since the preview, nothing is written.
+ */
+async function adoptPage() {
+  const preview = adoptPreview;
+  if (!preview) return;
+  
+  const action = await askChoice(t('popupConfirmAdopt'), [
+    { value: 'adopt', label: t('popupOverwritePage') },
+    { value: 'cancel', label: t('cancel') }
+  ]);
+  
+  if (action !== 'adopt') return;
+  
+  try {
+    log(t('popupAdoptingPage'));
+    
+    // Exactly what the preview showed - a page changed since then is reloaded on conflict and refused here
+    const { result: adopted } = await commitWikiChange(t('operationAdoptPage'), async (contentManager, data) => {
+      if (data !== preview.wikiData) throw new Error(t('popupAdoptPageChanged'));
+      contentManager.setContent(preview.adopted.content);
+      return preview.adopted;
+    }, { snapshot: true, wikiData: preview.wikiData });
+    
+    discardAdoptPreview();
+    $("#adoptPanel").style.display = 'none';
+    log(t('popupPageAdopted', adopted.categories.length, countAdoptedLinks(adopted)));
+    
+  } catch (e) {
+    console.error("Adopt page failed:", e);
+    log(t('popupErrorAdoptingPage', e.message));
+  }
+}
+
+// Live Edit function
+document.getElementById('btn-liveedit')?.addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  // Inject file - no existing logic is changed
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    files: ['live_edit.js']
+  });
+  window.close(); // Optionally close popup
+});
+
+// ===== EVENT LISTENERS =====
+document.addEventListener("DOMContentLoaded", async function() {
+  // Set DOM reference
+  out = document.getElementById("out");
+  localizePage();
+  
+  // Main buttons
+  const btnTest = $("#btnTest");
   const btnAdd = $("#btnAdd");
   
+  const btnUndo = $("#btnUndo");
+  
   if (btnTest) btnTest.addEventListener("click", testConnection);
-  if (btnAdd) btnAdd.addEventListener("click", addCard);
+  if (btnAdd) btnAdd.addEventListener("click", openLinkPreview);
+  if (btnUndo) btnUndo.addEventListener("click", undoLastChange);
+  
+  // ===== LINK PREVIEW =====
+  const saveLinkBtn = $("#saveLinkBtn");
+  const cancelLinkBtn = $("#cancelLinkBtn");
+  
+  if (saveLinkBtn) saveLinkBtn.addEventListener("click", addCard);
+  if (cancelLinkBtn) cancelLinkBtn.addEventListener("click", closeLinkPreview);
+  
+  ["#linkTitle", "#linkDesc", "#linkTags"].forEach(selector => {
+    const input = $(selector);
+    if (input) input.addEventListener("input", () => renderLinkPreview());
+  });
   
   // ===== RESET BUTTONS AND DEMO BUTTON =====
   
   // Reset wiki (delete only links)
   const resetBtn = document.createElement('button');
-  resetBtn.textContent = 'Reset Wiki';
-  resetBtn.title = 'Deletes only links, keeps containers and categories';
+  resetBtn.textContent = t('popupResetWiki');
+  resetBtn.title = t('popupResetWikiTitle');
   resetBtn.style.cssText = 'background-color: #d73a49; margin-left: 5px; color: white; padding: 8px 10px; border-radius: 6px; border: none; cursor: pointer; font-size: 12px;';
   resetBtn.onclick = handleResetLinks;
   
   // Clear wiki completely
   const clearBtn = document.createElement('button');
-  clearBtn.textContent = 'Clear Wiki';
-  clearBtn.title = 'Deletes complete page (all data)';
+  clearBtn.textContent = t('popupClearWiki');
+  clearBtn.title = t('popupClearWikiTitle');
   clearBtn.style.cssText = 'background-color: #666; margin-left: 5px; color: white; padding: 8px 10px; border-radius: 6px; border: none; cursor: pointer; font-size: 12px;';
   clearBtn.onclick = handleClearWiki;
   
   // DEMO TEMPLATE Button
   const demoBtn = document.createElement('button');
-  demoBtn.textContent = 'Load Demo';
-  demoBtn.title = 'Loads a complete example template with containers and categories';
+  demoBtn.textContent = t('popupLoadDemo');
+  demoBtn.title = t('popupLoadDemoTitle');
   demoBtn.style.cssText = 'background-color: #0366d6; margin-left: 5px; color: white; padding: 8px 10px; border-radius: 6px; border: none; cursor: pointer; font-size: 12px;';
   demoBtn.onclick = handleLoadDemo;
   
@@ -904,6 +1763,21 @@ document.addEventListener("DOMContentLoaded", async function() {
   
   if (containerColumns) containerColumns.addEventListener("change", updateColumnSelect);
   
+  const editContainerBtn = $("#editContainerBtn");
+  const deleteContainerBtn = $("#deleteContainerBtn");
+  const saveContainerBtn = $("#saveContainerBtn");
+  const cancelEditContainerBtn = $("#cancelEditContainerBtn");
+  
+  if (editContainerBtn) editContainerBtn.addEventListener("click", openEditContainerForm);
+  if (deleteContainerBtn) deleteContainerBtn.addEventListener("click", deleteSelectedContainer);
+  if (saveContainerBtn) saveContainerBtn.addEventListener("click", saveContainerChanges);
+  
+  if (cancelEditContainerBtn) {
+    cancelEditContainerBtn.addEventListener("click", () => {
+      $("#editContainerForm").style.display = 'none';
+    });
+  }
+  
   // ===== CATEGORY MANAGEMENT =====
   const newCategoryBtn = $("#newCategoryBtn");
   const createCategoryBtn = $("#createCategoryBtn");
@@ -913,7 +1787,7 @@ document.addEventListener("DOMContentLoaded", async function() {
     newCategoryBtn.addEventListener("click", () => {
       const containerKey = $("#containerSelect").value;
       if (!containerKey) {
-        log("❌ Error: Please first select a container or create a new one.");
+        log(t('errorMessage', t('popupSelectContainerBeforeCategory')));
         return;
       }
       $("#newCategoryForm").style.display = 'block';
@@ -930,6 +1804,21 @@ document.addEventListener("DOMContentLoaded", async function() {
     });
   }
   
+  const editCategoryBtn = $("#editCategoryBtn");
+  const deleteCategoryBtn = $("#deleteCategoryBtn");
+  const saveCategoryBtn = $("#saveCategoryBtn");
+  const cancelEditCategoryBtn = $("#cancelEditCategoryBtn");
+  
+  if (editCategoryBtn) editCategoryBtn.addEventListener("click", openEditCategoryForm);
+  if (deleteCategoryBtn) deleteCategoryBtn.addEventListener("click", deleteSelectedCategory);
+  if (saveCategoryBtn) saveCategoryBtn.addEventListener("click", saveCategoryChanges);
+  
+  if (cancelEditCategoryBtn) {
+    cancelEditCategoryBtn.addEventListener("click", () => {
+      $("#editCategoryForm").style.display = 'none';
+    });
+  }
+  
   // Layout button selection (without dropdown synchronization)
   document.querySelectorAll(".layout-option").forEach(option => {
     option.addEventListener("click", () => {
@@ -938,12 +1827,137 @@ document.addEventListener("DOMContentLoaded", async function() {
     });
   });
   
+  // ===== LINK MANAGEMENT =====
+  const manageLinksBtn = $("#manageLinksBtn");
+  const closeLinkManagerBtn = $("#closeLinkManagerBtn");
+  
+  if (manageLinksBtn) {
+    manageLinksBtn.addEventListener("click", () => {
+      $("#linkManager").style.display = 'block';
+      renderLinkList().catch(e => log(t('popupErrorLoadingLinks', e.message)));
+    });
+  }
+  
+  if (closeLinkManagerBtn) {
+    closeLinkManagerBtn.addEventListener("click", () => {
+      $("#linkManager").style.display = 'none';
+    });
+  }
+  
+  // ===== BULK ADD =====
+  const bulkAddBtn = $("#bulkAddBtn");
+  const bulkScope = $("#bulkScope");
+  const bulkSaveBtn = $("#bulkSaveBtn");
+  const closeBulkBtn = $("#closeBulkBtn");
+  
+  if (bulkAddBtn) {
+    bulkAddBtn.addEventListener("click", () => {
+      $("#bulkPanel").style.display = 'block';
+      renderBulkList().catch(e => log(t('popupErrorLoadingTabs', e.message)));
+    });
+  }
+  
+  if (bulkScope) {
+    bulkScope.addEventListener("change", () => {
+      renderBulkList().catch(e => log(t('popupErrorLoadingTabs', e.message)));
+    });
+  }
+  
+  if (bulkSaveBtn) bulkSaveBtn.addEventListener("click", addSelectedTabs);
+  
+  if (closeBulkBtn) {
+    closeBulkBtn.addEventListener("click", () => {
+      $("#bulkPanel").style.display = 'none';
+    });
+  }
+  
+  // ===== SNAPSHOTS =====
+  const snapshotsBtn = $("#snapshotsBtn");
+  const snapshotSelect = $("#snapshotSelect");
+  const restoreSnapshotBtn = $("#restoreSnapshotBtn");
+  const deleteSnapshotBtn = $("#deleteSnapshotBtn");
+  const closeSnapshotsBtn = $("#closeSnapshotsBtn");
+  
+  if (snapshotsBtn) {
+    snapshotsBtn.addEventListener("click", () => {
+      $("#snapshotPanel").style.display = 'block';
+      renderSnapshotList().catch(e => log(t('popupErrorLoadingSnapshots', e.message)));
+    });
+  }
+  
+  if (snapshotSelect) snapshotSelect.addEventListener("change", showSnapshotDiff);
+  if (restoreSnapshotBtn) restoreSnapshotBtn.addEventListener("click", restoreSelectedSnapshot);
+  if (deleteSnapshotBtn) deleteSnapshotBtn.addEventListener("click", deleteSelectedSnapshot);
+  
+  if (closeSnapshotsBtn) {
+    closeSnapshotsBtn.addEventListener("click", () => {
+      $("#snapshotPanel").style.display = 'none';
+    });
+  }
+  
+  // ===== PAGE CHECK =====
+  const checkPageBtn = $("#checkPageBtn");
+  const repairPageBtn = $("#repairPageBtn");
+  const closePageCheckBtn = $("#closePageCheckBtn");
+  
+  if (checkPageBtn) {
+    checkPageBtn.addEventListener("click", () => {
+      $("#pageCheckPanel").style.display = 'block';
+      checkPage();
+    });
+  }
+  
+  if (repairPageBtn) repairPageBtn.addEventListener("click", repairPage);
+  
+  if (closePageCheckBtn) {
+    closePageCheckBtn.addEventListener("click", () => {
+      $("#pageCheckPanel").style.display = 'none';
+    });
+  }
+  
+  // ===== ADOPT PAGE =====
+  const adoptPageBtn = $("#adoptPageBtn");
+  const previewAdoptBtn = $("#previewAdoptBtn");
+  const adoptBtn = $("#adoptBtn");
+  const closeAdoptBtn = $("#closeAdoptBtn");
+  
+  if (adoptPageBtn) {
+    adoptPageBtn.addEventListener("click", () => {
+      $("#adoptPanel").style.display = 'block';
+      previewAdoptPage();
+    });
+  }
+  
+  if (previewAdoptBtn) previewAdoptBtn.addEventListener("click", previewAdoptPage);
+  if (adoptBtn) adoptBtn.addEventListener("click", adoptPage);
+  
+  ["#adoptContainerName", "#adoptColumns", "#adoptLayout"].forEach(selector => {
+    $(selector)?.addEventListener("input", discardAdoptPreview);
+    $(selector)?.addEventListener("change", discardAdoptPreview);
+  });
+  
+  if (closeAdoptBtn) {
+    closeAdoptBtn.addEventListener("click", () => {
+      $("#adoptPanel").style.display = 'none';
+    });
+  }
+  
+  const categorySelect = $("#categorySelect");
+  if (categorySelect) {
+    categorySelect.addEventListener("change", () => {
+      renderLinkPreview().catch(e => console.error("Preview failed:", e));
+      if ($("#linkManager").style.display === 'block') {
+        renderLinkList().catch(e => log(t('popupErrorLoadingLinks', e.message)));
+      }
+    });
+  }
+  
   // Container select change handler
   const containerSelect = $("#containerSelect");
   if (containerSelect) {
     containerSelect.addEventListener("change", async (e) => {
       if (e.target.value) {
-        const containers = await loadData('containers', []);
+        const { containers } = await getCachedStructure();
         const container = containers.find(c => c.key === e.target.value);
         if (container) {
           const containerColumns = $("#containerColumns");
@@ -956,13 +1970,18 @@ document.addEventListener("DOMContentLoaded", async function() {
     });
   }
   
+  const profileSelect = $("#profileSelect");
+  if (profileSelect) profileSelect.addEventListener("change", changeProfile);
+  
   // Initialization
   updateColumnSelect();
+  await renderProfileSelect();
+  updateUndoButton();
   
-  // Auto-test on load (silently)
+  // Auto-test on load (silently), then retry queued links
   testConnection().catch(() => {
     // Ignore initial connection errors
-  });
+  }).then(flushPendingLinks);
   
   console.log("✅ EXTENSION LOG: Final popup.js with demo template loaded successfully");
 });
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * @file profiles.js
+ * @description Named wiki profiles (endpoint, token, target page and cached structure)
+ * @version 1.67
+ *
+ * The settings of the active profile live in the top-level storage keys
+ * (endpoint, token, pageId, ...) that the rest of the extension reads. Every
+ * profile is stored in its own sync item; the active one is written back from
+ * the top-level keys before another profile is activated.
+ * The cached containers and categories are kept in the local storage, both the
+ * top-level ones (see getCachedStructure) and those of every profile - with many
+ * categories they would exceed the size limit of a sync item.
+ */
+
+import { t } from './i18n.js';
+
+// Settings that belong to a profile - everything else is shared by all profiles
+export const PROFILE_KEYS = ['endpoint', 'token', 'locale', 'pageId', 'outputFormat', 'markdownClasses', 'containers', 'categories', 'lastCategory', 'defaultCategory', 'localePages', 'localeSource', 'addToAllLocales'];
+
+const PROFILE_DEFAULTS = {
+  endpoint: "",
+  token: "",
+  locale: "en",
+  pageId: "",
+  outputFormat: "auto",
+  markdownClasses: true,
+  containers: [],
+  categories: [],
+  lastCategory: "",
+  defaultCategory: "",
+  localePages: {},
+  localeSource: "configured",
+  addToAllLocales: false
+};
+
+// Index of all profiles: [{ id, name }]
+const PROFILES_KEY = 'profiles';
+const ACTIVE_KEY = 'activeProfile';
+
+// Each profile is a separate item - the sync storage limits the size of a single item
+const profileKey = (id) => `profile:${id}`;
+
+// Cached page structure of a profile (local storage)
+const STRUCTURE_KEYS = ['containers', 'categories'];
+const structureKey = (id) => `profileStructure:${id}`;
+
+// Top-level settings of the active profile in the sync storage
+const SYNC_DEFAULTS = Object.fromEntries(Object.entries(PROFILE_DEFAULTS).filter(([key]) => !STRUCTURE_KEYS.includes(key)));
+
+/**
+ * Containers and categories of the active profile's page, as stored by the popup
+ * @returns {Promise<Object>} { containers, categories }
+ */
+export async function getCachedStructure() {
+  const cached = await chrome.storage.local.get(STRUCTURE_KEYS);
+
+  // Earlier versions kept them in the sync storage
+  if (STRUCTURE_KEYS.some(key => !(key in cached))) {
+    const legacy = await chrome.storage.sync.get(STRUCTURE_KEYS);
+    Object.assign(cached, { ...legacy, ...cached });
+    await setCachedStructure({ containers: cached.containers || [], categories: cached.categories || [] });
+    await chrome.storage.sync.remove(STRUCTURE_KEYS);
+  }
+
+  return { containers: cached.containers || [], categories: cached.categories || [] };
+}
+
+/**
+ * Stores containers and/or categories of the active profile's page
+ * @param {Object} structure - { containers, categories }; missing keys are kept
+ */
+export async function setCachedStructure(structure) {
+  await chrome.storage.local.set(pickStructure(structure));
+}
+
+/**
+ * Lists all profiles, creating the first one from the current settings if needed
+ * @returns {Promise<Array<Object>>} Profiles ({ id, name }) in creation order
+ */
+export async function listProfiles() {
+  const result = await chrome.storage.sync.get({ [PROFILES_KEY]: [], [ACTIVE_KEY]: "" });
+  const profiles = Array.isArray(result[PROFILES_KEY]) ? result[PROFILES_KEY] : [];
+  if (profiles.length > 0) return profiles;
+
+  // First start with profiles: the existing settings become the default profile
+  const id = newProfileId();
+  const name = t('profileDefaultName');
+  await chrome.storage.sync.set({ [PROFILES_KEY]: [{ id, name }], [ACTIVE_KEY]: id });
+  await saveActiveProfile();
+  return [{ id, name }];
+}
+
+/**
+ * ID of the active profile
+ * @returns {Promise<string>} Profile ID
+ */
+export async function getActiveProfileId() {
+  const profiles = await listProfiles();
+  const { [ACTIVE_KEY]: active } = await chrome.storage.sync.get([ACTIVE_KEY]);
+  return profiles.some(profile => profile.id === active) ? active : profiles[0].id;
+}
+
+/**
+ * Settings of a profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object>} Profile settings (see PROFILE_KEYS)
+ */
+export async function getProfileSettings(id) {
+  if (id === await getActiveProfileId()) {
+    return readActiveSettings();
+  }
+  return readProfile(id);
+}
+
+/**
+ * Stores the current top-level settings in the active profile
+ */
+export async function saveActiveProfile() {
+  const { [ACTIVE_KEY]: active } = await chrome.storage.sync.get([ACTIVE_KEY]);
+  if (!active) return;
+
+  await writeProfile(active, await readActiveSettings());
+}
+
+/**
+ * Activates a profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object>} Settings of the activated profile
+ * @throws {Error} If the profile does not exist
+ */
+export async function switchProfile(id) {
+  const profiles = await listProfiles();
+  if (!profiles.some(profile => profile.id === id)) {
+    throw new Error(t('profileGone'));
+  }
+
+  await saveActiveProfile();
+  const settings = await readProfile(id);
+
+  await writeActiveSettings(settings);
+  await chrome.storage.sync.set({ [ACTIVE_KEY]: id });
+  console.log("Profile activated:", profiles.find(profile => profile.id === id).name);
+  return settings;
+}
+
+/**
+ * Creates a profile
+ * @param {string} name - Profile name
+ * @param {Object} [settings] - Initial settings (see PROFILE_KEYS)
+ * @returns {Promise<string>} ID of the new profile
+ * @throws {Error} If the name is empty or already used
+ */
+export async function createProfile(name, settings = {}) {
+  const profiles = await listProfiles();
+  const profileName = checkProfileName(name, profiles);
+
+  const id = newProfileId();
+  await writeProfile(id, pickProfileSettings(settings));
+  await chrome.storage.sync.set({ [PROFILES_KEY]: [...profiles, { id, name: profileName }] });
+  return id;
+}
+
+/**
+ * Renames a profile
+ * @param {string} id - Profile ID
+ * @param {string} name - New name
+ * @throws {Error} If the name is empty or already used
+ */
+export async function renameProfile(id, name) {
+  const profiles = await listProfiles();
+  const profileName = checkProfileName(name, profiles.filter(profile => profile.id !== id));
+
+  await chrome.storage.sync.set({
+    [PROFILES_KEY]: profiles.map(profile => profile.id === id ? { ...profile, name: profileName } : profile)
+  });
+}
+
+/**
+ * Deletes a profile; the first remaining profile is activated if the active one is deleted
+ * @param {string} id - Profile ID
+ * @throws {Error} If it is the only profile
+ */
+export async function deleteProfile(id) {
+  const profiles = await listProfiles();
+  if (profiles.length <= 1) {
+    throw new Error(t('profileLastOne'));
+  }
+
+  const remaining = profiles.filter(profile => profile.id !== id);
+  if (id === await getActiveProfileId()) {
+    // Nothing to save - the deleted profile's settings are overwritten
+    await chrome.storage.sync.remove(ACTIVE_KEY);
+    await switchProfile(remaining[0].id);
+  }
+
+  await chrome.storage.sync.set({ [PROFILES_KEY]: remaining });
+  await chrome.storage.sync.remove(profileKey(id));
+  await chrome.storage.local.remove(structureKey(id));
+}
+
+/**
+ * All profiles with their settings, for the configuration export
+ * @returns {Promise<Array<Object>>} Profiles ({ name, active, ...settings })
+ */
+export async function exportProfiles() {
+  await saveActiveProfile();
+  const profiles = await listProfiles();
+  const active = await getActiveProfileId();
+
+  return Promise.all(profiles.map(async profile => ({
+    name: profile.name,
+    active: profile.id === active,
+    ...await readProfile(profile.id)
+  })));
+}
+
+/**
+ * Imports profiles from a configuration export
+ *
+ * Profiles are matched by name: existing ones are overwritten, others are added.
+ * The profile marked as active in the export is activated.
+ *
+ * @param {Array<Object>} imported - Profiles as returned by exportProfiles
+ * @returns {Promise<number>} Number of imported profiles
+ */
+export async function importProfiles(imported) {
+  if (!Array.isArray(imported) || imported.length === 0) {
+    throw new Error(t('profileImportNoProfiles'));
+  }
+
+  await saveActiveProfile();
+  const profiles = await listProfiles();
+  const activeId = await getActiveProfileId();
+  let activateId = null;
+
+  for (const item of imported) {
+    const name = String(item?.name || "").trim();
+    if (!name) throw new Error(t('profileImportNoName'));
+
+    let id = profiles.find(profile => profile.name === name)?.id;
+    if (!id) {
+      id = newProfileId();
+      profiles.push({ id, name });
+    }
+
+    await writeProfile(id, pickProfileSettings(item));
+    if (item.active) activateId = id;
+  }
+
+  await chrome.storage.sync.set({ [PROFILES_KEY]: profiles });
+
+  // Reload the top-level settings - the active profile may have been overwritten
+  const id = activateId || activeId;
+  await writeActiveSettings(await readProfile(id));
+  await chrome.storage.sync.set({ [ACTIVE_KEY]: id });
+
+  return imported.length;
+}
+
+// Stored settings of a profile; profiles saved before the structure moved to the local storage have it in the sync item
+async function readProfile(id) {
+  const { [profileKey(id)]: stored } = await chrome.storage.sync.get([profileKey(id)]);
+  const { [structureKey(id)]: structure } = await chrome.storage.local.get([structureKey(id)]);
+  return { ...PROFILE_DEFAULTS, ...stored, ...structure };
+}
+
+async function writeProfile(id, settings) {
+  const entries = Object.entries({ ...PROFILE_DEFAULTS, ...settings });
+  await chrome.storage.sync.set({
+    [profileKey(id)]: Object.fromEntries(entries.filter(([key]) => !STRUCTURE_KEYS.includes(key)))
+  });
+  await chrome.storage.local.set({ [structureKey(id)]: pickStructure(Object.fromEntries(entries)) });
+}
+
+async function readActiveSettings() {
+  return { ...await chrome.storage.sync.get(SYNC_DEFAULTS), ...await getCachedStructure() };
+}
+
+async function writeActiveSettings(settings) {
+  await chrome.storage.sync.set(Object.fromEntries(Object.entries(settings).filter(([key]) => !STRUCTURE_KEYS.includes(key))));
+  await setCachedStructure(settings);
+}
+
+function pickStructure(settings) {
+  return Object.fromEntries(STRUCTURE_KEYS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]]));
+}
+
+function pickProfileSettings(settings) {
+  return Object.fromEntries(PROFILE_KEYS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]]));
+}
+
+function checkProfileName(name, profiles) {
+  const profileName = String(name || "").trim();
+  if (!profileName) {
+    throw new Error(t('profileEnterName'));
+  }
+  if (profiles.some(profile => profile.name.toLowerCase() === profileName.toLowerCase())) {
+    throw new Error(t('profileNameTaken', profileName));
+  }
+  return profileName;
+}
+
+function newProfileId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
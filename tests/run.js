@@ -0,0 +1,25 @@
+/**
+ * @file tests/run.js
+ * @description Runs all tests and lists the results in tests/run.html
+ * @version 1.67
+ */
+
+import { runTests } from './test-runner.js';
+import { tests as tolerantParserTests } from './tolerant-parser.test.js';
+
+const results = await runTests([...tolerantParserTests]);
+const failed = results.filter(result => !result.ok);
+
+const list = document.getElementById('results');
+results.forEach(({ name, ok, error }) => {
+  const item = document.createElement('li');
+  item.className = ok ? 'ok' : 'failed';
+  item.textContent = ok ? `✅ ${name}` : `❌ ${name}\n${error.message}`;
+  list.appendChild(item);
+  if (!ok) console.error(name, error);
+});
+
+document.getElementById('summary').textContent = failed.length
+  ? `❌ ${failed.length} of ${results.length} tests failed`
+  : `✅ All ${results.length} tests passed`;
+document.title = failed.length ? 'Tests failed' : 'Tests passed';
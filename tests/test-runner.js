@@ -0,0 +1,63 @@
+/**
+ * @file tests/test-runner.js
+ * @description Minimal test runner for tests/run.html - the code under test needs the browser's DOMParser
+ * @version 1.67
+ */
+
+/**
+ * Compares values by content: objects regardless of key order, texts line by line
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Expected value
+ * @param {string} label - What is compared, for the failure message
+ * @throws {Error} If the values differ
+ */
+export function assertEqual(actual, expected, label) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    if (actual === expected) return;
+    const actualLines = actual.split('\n');
+    const expectedLines = expected.split('\n');
+    const line = expectedLines.findIndex((text, index) => text !== actualLines[index]);
+    const index = line === -1 ? expectedLines.length : line;
+    throw new Error(`${label} differs in line ${index + 1}\nexpected: ${JSON.stringify(expectedLines[index])}\nactual:   ${JSON.stringify(actualLines[index])}`);
+  }
+
+  if (canonical(actual) !== canonical(expected)) {
+    throw new Error(`${label} differs\nexpected: ${canonical(expected)}\nactual:   ${canonical(actual)}`);
+  }
+}
+
+// JSON with sorted keys
+function canonical(value) {
+  return JSON.stringify(value, (key, item) => item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item);
+}
+
+/**
+ * Loads a file from tests/fixtures
+ * @param {string} name - File name
+ * @returns {Promise<string>} Content with \n line endings, as Wiki.js stores pages
+ */
+export async function loadFixture(name) {
+  const response = await fetch(new URL(`./fixtures/${name}`, import.meta.url));
+  if (!response.ok) throw new Error(`Fixture ${name} could not be loaded (HTTP ${response.status})`);
+  return (await response.text()).replace(/\r\n/g, '\n');
+}
+
+/**
+ * Runs tests one after another
+ * @param {Array<{name: string, run: Function}>} tests - Tests; run throws on failure
+ * @returns {Promise<Array<Object>>} Results (name, ok, error)
+ */
+export async function runTests(tests) {
+  const results = [];
+  for (const { name, run } of tests) {
+    try {
+      await run();
+      results.push({ name, ok: true });
+    } catch (error) {
+      results.push({ name, ok: false, error });
+    }
+  }
+  return results;
+}
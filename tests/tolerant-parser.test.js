@@ -0,0 +1,111 @@
+/**
+ * @file tests/tolerant-parser.test.js
+ * @description Hand-edited pages in tests/fixtures, read by parseHtmlStructure and written back by serializeHtmlStructure
+ * @version 1.67
+ *
+ * Every fixture <name>.html has the page as written in <name>.expected.html.
+ */
+
+import { parseHtmlStructure, serializeHtmlStructure, repairHtmlStructure, WikiStructureAnalyzer } from '../wiki-content.js';
+import { assertEqual, loadFixture } from './test-runner.js';
+
+// Containers and categories as read from each fixture
+const FIXTURES = {
+  // Attributes on several lines, single quotes, self-closing void tags, spaces in comments and texts
+  'reformatted-tags': {
+    containers: [{ key: 'tools', name: 'Tools & Services', columns: 2 }],
+    categories: [{
+      key: 'dev', name: 'Development', description: 'Code and reviews', layout: 'cards', accent: 'green', containerKey: 'tools',
+      links: [{ url: 'https://git.example.com/', title: 'Git Server', host: 'git.example.com', iconUrl: 'https://git.example.com/favicon.ico' }]
+    }]
+  },
+  // id before class, classes and link attributes in another order
+  'reordered-attributes': {
+    containers: [{ key: 'start', name: 'Getting Started', columns: 1 }],
+    categories: [{
+      key: 'onboarding', name: 'Onboarding', description: '', layout: 'compact', accent: 'orange', containerKey: 'start',
+      links: [
+        { url: 'https://hr.example.com/handbook', title: 'Handbook', host: 'hr.example.com', iconUrl: 'https://hr.example.com/icon.png' },
+        { url: 'https://it.example.com/laptop', title: 'Laptop Setup', host: 'it.example.com', iconUrl: '', tags: ['it', 'setup'] }
+      ]
+    }]
+  },
+  // No comment markers at all, only ids and classes
+  'removed-markers': {
+    containers: [{ key: 'docs', name: 'Docs', columns: 2 }],
+    categories: [
+      {
+        key: 'guides', name: 'Guides', description: 'How we work', layout: 'cards', accent: 'purple', containerKey: 'docs',
+        links: [{ url: '/en/guides/deploy', title: 'Deploying', host: 'wiki', iconUrl: '' }]
+      },
+      {
+        key: 'dashboards', name: 'Dashboards', description: '', layout: 'large', accent: 'teal', containerKey: 'docs',
+        links: [{ url: 'https://grafana.example.com/', title: 'Grafana', host: 'grafana.example.com', iconUrl: '', previewUrl: '/uploads/grafana.png' }]
+      }
+    ]
+  },
+  // Plain links and link cards in lists, <strong> and <div> wrappers
+  'wrapped-links': {
+    containers: [{ key: 'reading', name: 'Reading', columns: 2 }],
+    categories: [{
+      key: 'articles', name: 'Articles', description: '', layout: 'cards', accent: 'pink', containerKey: 'reading',
+      links: [
+        { url: 'https://blog.example.com/post-1', title: 'First post', host: 'blog.example.com', iconUrl: '' },
+        { url: 'https://news.example.org/item?id=7&ref=wiki', title: 'News item', host: 'news.example.org', iconUrl: '' },
+        { url: 'https://search.example.com/?q="wiki"', title: 'Search', host: 'search.example.com', iconUrl: '' },
+        { url: 'https://docs.example.net/', title: 'Docs', host: 'docs.example.net', iconUrl: '' }
+      ]
+    }]
+  }
+};
+
+// What the parser read, without elements and source positions
+function summary({ containers, categories }) {
+  return {
+    containers: containers.map(({ key, name, columns }) => ({ key, name, columns })),
+    categories: categories.map(({ key, name, description, layout, accent, containerKey, items }) => ({
+      key, name, description, layout, accent, containerKey,
+      links: items.filter(item => item.link).map(item => item.link)
+    }))
+  };
+}
+
+export const tests = [
+  ...Object.entries(FIXTURES).flatMap(([name, expected]) => [
+    {
+      name: `${name}: parse`,
+      run: async () => {
+        assertEqual(summary(parseHtmlStructure(await loadFixture(`${name}.html`))), expected, 'Parsed structure');
+      }
+    },
+    {
+      name: `${name}: serialize`,
+      run: async () => {
+        const written = serializeHtmlStructure(parseHtmlStructure(await loadFixture(`${name}.html`)));
+        assertEqual(written, await loadFixture(`${name}.expected.html`), 'Written page');
+      }
+    },
+    {
+      name: `${name}: written page is read without the tolerant parser`,
+      run: async () => {
+        const written = await loadFixture(`${name}.expected.html`);
+        assertEqual(repairHtmlStructure(written), written, 'Repaired written page');
+        assertEqual(summary(parseHtmlStructure(written)), expected, 'Parsed written page');
+
+        const analyzer = new WikiStructureAnalyzer(written, 'html', { tolerant: false });
+        assertEqual(analyzer.extractCategories().map(category => `${category.key}@${category.containerKey}`),
+          expected.categories.map(category => `${category.key}@${category.containerKey}`), 'Categories');
+        assertEqual(analyzer.extractLinks().map(link => link.url),
+          expected.categories.flatMap(category => category.links.map(link => link.url)), 'Links');
+      }
+    }
+  ]),
+  {
+    name: 'unclosed container: page is left unchanged',
+    run: async () => {
+      const page = (await loadFixture('removed-markers.html')).replace(/<\/div>\n<!-- Kept/, '\n<!-- Kept');
+      assertEqual(repairHtmlStructure(page), page, 'Repaired page');
+      assertEqual(parseHtmlStructure(page).containers[0].range, null, 'Source range of the container');
+    }
+  }
+];
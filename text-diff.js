@@ -0,0 +1,121 @@
+/**
+ * @file text-diff.js
+ * @description Line-based diff for previews before wiki content is overwritten
+ * @version 1.67
+ */
+
+import { t } from './i18n.js';
+
+// Upper bound for the LCS table (changed lines × changed lines) to keep previews fast
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Computes a line diff between two texts
+ * @param {string} oldText - Current text
+ * @param {string} newText - Text that would replace it
+ * @returns {Array<{type: string, line: string}>} Lines with type ' ' (unchanged), '-' (removed) or '+' (added)
+ */
+export function diffLines(oldText, newText) {
+  const a = String(oldText ?? "").split("\n");
+  const b = String(newText ?? "").split("\n");
+
+  // Common prefix and suffix do not need the LCS table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const result = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    // Too large for a detailed diff - show as full replacement
+    midA.forEach(line => result.push({ type: '-', line }));
+    midB.forEach(line => result.push({ type: '+', line }));
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        result.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        result.push({ type: '-', line: midA[i++] });
+      } else {
+        result.push({ type: '+', line: midB[j++] });
+      }
+    }
+    while (i < n) result.push({ type: '-', line: midA[i++] });
+    while (j < m) result.push({ type: '+', line: midB[j++] });
+  }
+
+  a.slice(a.length - suffix).forEach(line => result.push({ type: ' ', line }));
+  return result;
+}
+
+/**
+ * Counts added and removed lines of a diff
+ * @param {Array<{type: string, line: string}>} diff - Result of diffLines
+ * @returns {{added: number, removed: number}} Line counts
+ */
+export function countChanges(diff) {
+  return {
+    added: diff.filter(entry => entry.type === '+').length,
+    removed: diff.filter(entry => entry.type === '-').length
+  };
+}
+
+/**
+ * Formats a diff as text with a few lines of context around each change
+ * @param {Array<{type: string, line: string}>} diff - Result of diffLines
+ * @param {number} [context=2] - Unchanged lines shown around changes
+ * @returns {string} Diff text ("+ added", "- removed", "  unchanged")
+ */
+export function formatDiff(diff, context = 2) {
+  const visible = new Array(diff.length).fill(false);
+
+  diff.forEach((entry, index) => {
+    if (entry.type === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) {
+      visible[k] = true;
+    }
+  });
+
+  if (!visible.includes(true)) {
+    return t('diffNoChanges');
+  }
+
+  const lines = [];
+  let skipped = false;
+
+  diff.forEach((entry, index) => {
+    if (!visible[index]) {
+      skipped = true;
+      return;
+    }
+    if (skipped) {
+      lines.push("  ⋯");
+      skipped = false;
+    }
+    lines.push(`${entry.type} ${entry.line}`);
+  });
+
+  if (skipped) lines.push("  ⋯");
+  return lines.join("\n");
+}
@@ -0,0 +1,1699 @@
+/**
+ * @file wiki-content.js
+ * @description HTML and Markdown templates, structure analyzer and content manager for the links page
+ * @version 1.67
+ */
+
+import { t } from './i18n.js';
+
+// ===== HTML HELPERS =====
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g,"&amp;")
+    .replace(/</g,"&lt;")
+    .replace(/>/g,"&gt;")
+    .replace(/"/g,"&quot;");
+}
+
+export function unescapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&quot;/g,'"')
+    .replace(/&#39;/g,"'")
+    .replace(/&gt;/g,">")
+    .replace(/&lt;/g,"<")
+    .replace(/&amp;/g,"&");
+}
+
+// ===== URL NORMALIZATION =====
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_ga)$/i;
+
+/**
+ * Normalizes a URL for duplicate detection
+ * Ignores fragments, tracking parameters, default ports and trailing slashes
+ * @param {string} url - URL to normalize
+ * @returns {string} Comparable URL string
+ */
+export function normalizeUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url ?? "").trim());
+  } catch {
+    return String(url ?? "").trim();
+  }
+  
+  [...u.searchParams.keys()].forEach(name => {
+    if (TRACKING_PARAMS.test(name)) u.searchParams.delete(name);
+  });
+  u.searchParams.sort();
+  
+  const path = u.pathname.replace(/\/+$/, "");
+  const query = u.searchParams.toString();
+  return `${u.protocol}//${u.host}${path}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Favicon URL for a host
+ * @param {string} hostname - Host name of the linked page
+ * @returns {string} Favicon image URL
+ */
+export function faviconUrl(hostname) {
+  return `https://www.google.com/s2/favicons?domain=${hostname}&sz=32`;
+}
+
+/**
+ * Screenshot service URL for the preview of large links
+ * @param {string} url - Linked page
+ * @returns {string} Preview image URL
+ */
+export function previewImageUrl(url) {
+  return `https://mini.s-shot.ru/1024x768/JPEG/1024/Z100/?${encodeURIComponent(url)}`;
+}
+
+// ===== OUTPUT FORMATS =====
+
+// Output formats of the links page (option "outputFormat", "auto" picks one from the page's editor)
+export const CONTENT_FORMATS = ['html', 'markdown'];
+
+/**
+ * Detects the format of page content from its structure markers
+ * @param {string} content - Page content
+ * @returns {string|null} 'html', 'markdown' or null if the page has no containers or categories yet
+ */
+export function detectContentFormat(content) {
+  const text = String(content || "");
+  if (/<!-- (CONTAINER \S+ columns=\d+|SECTION \S+ layout=\w+) /.test(text)) return 'markdown';
+  if (/<[a-z][^>]*(?:\bclass\s*=\s*["']?[^"'>]*\b(?:layout-container|section-(?:card|compact|large))\b|\bid\s*=\s*["']?[^"'\s>]+-section\b)/i.test(text)) return 'html';
+  return null;
+}
+
+/**
+ * Output format for a page
+ * Pages that already contain containers or categories keep their format - the
+ * preferred format only decides for new and empty pages.
+ * @param {Object} page - Page data (content and editor)
+ * @param {string} [preferred] - Option "outputFormat": auto, html or markdown
+ * @returns {string} 'html' or 'markdown'
+ */
+export function resolveContentFormat(page, preferred = 'auto') {
+  const detected = detectContentFormat(page?.content);
+  if (detected) return detected;
+  if (CONTENT_FORMATS.includes(preferred)) return preferred;
+  return page?.editor === 'markdown' ? 'markdown' : 'html';
+}
+
+/**
+ * Checks whether the links can be written into a page of this editor
+ * HTML output relies on comment markers that only the Raw HTML editor keeps unchanged,
+ * Markdown output needs the Markdown editor.
+ * @param {string} editor - Editor of the page (Wiki.js page.editor)
+ * @param {string} [format] - Output format used for the page (html or markdown)
+ * @returns {string|null} Warning for the user, or null if the editor is compatible
+ */
+export function editorWarning(editor, format = 'html') {
+  if (format === 'markdown') {
+    return editor === 'markdown'
+      ? null
+      : t('editorWarningMarkdownFormat', editor || t('unknown'));
+  }
+  
+  switch (editor) {
+    case 'code':
+      return null;
+    case 'markdown':
+      return t('editorWarningMarkdown');
+    case 'ckeditor':
+      return t('editorWarningCkeditor');
+    default:
+      return t('editorWarningOther', editor || t('unknown'));
+  }
+}
+
+// ===== HTML TEMPLATE GENERATOR =====
+export const HTML_TEMPLATES = {
+  // Container template
+  container: (containerKey, columns, name) => {
+    const label = name ? ` - ${String(name).replace(/-{2,}/g, '-')}` : '';
+    return `<div class="layout-container layout-${columns}col" id="${containerKey}-container">
+  <!-- Container: ${containerKey}${label} -->
+  <!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_START -->
+  <!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_END -->
+</div>
+
+`;
+  },
+  
+  // Category template
+  category: (category, layout) => {
+    const layoutClass = layout === 'compact' ? 'section-compact' : 
+                       layout === 'large' ? 'section-large' : 'section-card';
+    
+    const contentClass = layout === 'compact' ? 'compact-links' : 
+                        layout === 'large' ? 'large-links' : 'links';
+    
+    return `  <section class="${layoutClass} accent-${category.accent}" id="${category.key}-section">
+    <header class="${layoutClass}__header">
+      <div class="${layoutClass}__title">${escapeHtml(category.name)}</div>
+      <div class="${layoutClass}__meta">${escapeHtml(category.description)}</div>
+    </header>
+    <div class="${contentClass}">
+      <!-- ${category.key.toUpperCase()}_LINKS_END -->
+    </div>
+  </section>`;
+  },
+  
+  // Link template
+  // Without iconUrl no icon is rendered; previewUrl '' renders no preview, undefined the screenshot service
+  link: (tabInfo, layout) => {
+    const { url, title, host, iconUrl, description } = tabInfo;
+    const previewUrl = tabInfo.previewUrl ?? previewImageUrl(url);
+    const attributes = linkDataAttributes(tabInfo);
+    
+    if (layout === 'compact') {
+      return `      <a class="compact-link" href="${escapeHtml(url)}" target="_blank" rel="noopener"${attributes}>${iconUrl ? `
+        <img src="${escapeHtml(iconUrl)}" alt="" class="compact-icon">` : ''}
+        <span class="compact-title">${escapeHtml(title)}</span>
+        <span class="compact-url">${escapeHtml(host)}</span>${description ? `
+        <span class="compact-desc">${escapeHtml(description)}</span>` : ''}
+      </a>`;
+    } else if (layout === 'large') {
+      return `      <a class="large-link" href="${escapeHtml(url)}" target="_blank" rel="noopener"${attributes}>
+        <div class="large-preview">${previewUrl ? `
+          <img src="${escapeHtml(previewUrl)}" alt="Preview" class="large-screenshot" onerror="this.style.display='none';">` : ''}${iconUrl ? `
+          <img src="${escapeHtml(iconUrl)}" alt="" class="large-icon">` : ''}
+        </div>
+        <div class="large-content">
+          <div class="large-title">${escapeHtml(title)}</div>
+          <div class="large-url">${escapeHtml(host)}</div>${description ? `
+          <div class="large-desc">${escapeHtml(description)}</div>` : ''}
+        </div>
+      </a>`;
+    } else {
+      return `      <a class="linkcard" href="${escapeHtml(url)}" target="_blank" rel="noopener"${attributes}>${iconUrl ? `
+        <img src="${escapeHtml(iconUrl)}" alt="">` : ''}
+        <div>
+          <div class="title">${escapeHtml(title)}</div>
+          <div class="url">${escapeHtml(host)}</div>${description ? `
+          <div class="desc">${escapeHtml(description)}</div>` : ''}
+        </div>
+      </a>`;
+    }
+  }
+};
+
+// Link metadata that is kept in the page, but not shown on the card
+const LINK_DATA_ATTRIBUTES = { siteName: 'data-site', author: 'data-author', tags: 'data-tags' };
+
+function linkDataAttributes(tabInfo) {
+  return Object.entries(LINK_DATA_ATTRIBUTES)
+    .map(([field, attribute]) => [attribute, field === 'tags' ? parseTags(tabInfo.tags).join(',') : tabInfo[field]])
+    .filter(([, value]) => value)
+    .map(([attribute, value]) => ` ${attribute}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+/**
+ * Normalizes free-form tags
+ * @param {string|Array<string>} tags - Comma separated text or list of tags
+ * @returns {Array<string>} Trimmed tags without empty entries and duplicates (case-insensitive)
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(',');
+  const seen = new Set();
+  
+  return list
+    .map(tag => String(tag).replace(/,/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// ===== MARKDOWN TEMPLATE GENERATOR =====
+
+// Structure data lives in comment markers, headings and {.class} attributes are only for display
+const LINK_CLASSES = { cards: 'linkcard', compact: 'compact-link', large: 'large-link' };
+const SECTION_CLASSES = { cards: 'section-card', compact: 'section-compact', large: 'section-large' };
+
+/**
+ * Escapes text for a single line of Markdown (headings, link titles, descriptions)
+ * @param {string} s - Text
+ * @returns {string} Markdown text without line breaks
+ */
+export function escapeMarkdown(s) {
+  return String(s ?? "").replace(/\s+/g, ' ').trim().replace(/[\\`*_[\]{}<>#&|]/g, '\\$&');
+}
+
+export function unescapeMarkdown(s) {
+  return String(s ?? "").replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+// Link destinations: parentheses are escaped so URLs like Wikipedia's stay intact
+function markdownUrl(url) {
+  return String(url ?? "").replace(/[\\()]/g, '\\$&').replace(/\s/g, '%20');
+}
+
+// Text at the start of a line must not turn into a list or a heading
+function markdownParagraph(text) {
+  return escapeMarkdown(text).replace(/^(\d+)([.)])/, '$1\\$2').replace(/^([-+=])/, '\\$1');
+}
+
+function markdownHeading(level, text, classes) {
+  return `${'#'.repeat(level)} ${escapeMarkdown(text)}${classes ? ` {${classes}}` : ''}`;
+}
+
+// Attribute values must not close the {...} block
+function markdownDataAttributes(tabInfo) {
+  return linkDataAttributes(tabInfo).replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+}
+
+export const MARKDOWN_TEMPLATES = {
+  // Container template: a heading between container markers
+  container: (containerKey, columns, name, classes = true) => {
+    return `<!-- CONTAINER ${containerKey} columns=${columns} -->
+${markdownHeading(2, name || containerKey, classes && `.layout-container .layout-${columns}col`)}
+<!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_START -->
+<!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_END -->
+<!-- /CONTAINER ${containerKey} -->
+
+`;
+  },
+  
+  // Category template: heading, description and a list of links
+  category: (category, layout, classes = true) => {
+    const sectionClass = SECTION_CLASSES[layout] || SECTION_CLASSES.cards;
+    
+    return `<!-- SECTION ${category.key} layout=${layout} accent=${category.accent} -->
+${markdownHeading(3, category.name, classes && `.${sectionClass} .accent-${category.accent}`)}
+${category.description ? `
+${markdownParagraph(category.description)}
+` : ''}
+<!-- ${category.key.toUpperCase()}_LINKS_END -->
+<!-- /SECTION ${category.key} -->`;
+  },
+  
+  // Link template: one list item per link, same preview rules as the HTML template
+  link: (tabInfo, layout, classes = true) => {
+    const { url, title, host, iconUrl, description } = tabInfo;
+    const previewUrl = tabInfo.previewUrl ?? previewImageUrl(url);
+    const parts = ['-'];
+    
+    if (iconUrl) parts.push(`![](${markdownUrl(iconUrl)})`);
+    parts.push(`[${escapeMarkdown(title)}](${markdownUrl(url)})`);
+    if (host) parts.push(`· ${host}`);
+    if (description) parts.push(`— ${escapeMarkdown(description)}`);
+    if (layout === 'large' && previewUrl) parts.push(`![Preview](${markdownUrl(previewUrl)})`);
+    if (classes) parts.push(`{.${LINK_CLASSES[layout] || LINK_CLASSES.cards}${markdownDataAttributes(tabInfo)}}`);
+    
+    return parts.join(' ');
+  }
+};
+
+// Link list item as written by MARKDOWN_TEMPLATES.link:
+// icon, title, URL, host, description, preview, {attributes}
+const MARKDOWN_DESTINATION = '((?:\\\\.|[^\\\\()\\s])*)';
+const MARKDOWN_LINK = new RegExp(
+  `^- (?:!\\[\\]\\(${MARKDOWN_DESTINATION}\\) )?\\[((?:\\\\.|[^\\\\\\]])*)\\]\\(${MARKDOWN_DESTINATION}\\)` +
+  `(?: · (\\S+))?(?: — (.*?))?(?: !\\[Preview\\]\\(${MARKDOWN_DESTINATION}\\))?(?: \\{([^{}]*)\\})?[ \\t]*$`
+);
+
+// Wiki.js page has containers written with {.class} attributes (null: no Markdown structure yet)
+function detectMarkdownClasses(content) {
+  if (detectContentFormat(content) !== 'markdown') return null;
+  return /\{\.(layout-container|section-\w+)[ }]/.test(content);
+}
+
+// ===== WIKI STRUCTURE ANALYZER =====
+export class WikiStructureAnalyzer {
+  /**
+   * Hand-edited HTML is read with the tolerant parser first (see repairHtmlStructure),
+   * so positions of links refer to the repaired content.
+   * @param {string} content - Page content
+   * @param {string} [format] - Content format (html or markdown); detected from the content if omitted
+   * @param {Object} [options]
+   * @param {boolean} [options.tolerant] - Repair hand-edited HTML (default true; false for content written by the content manager)
+   */
+  constructor(content, format, { tolerant = true } = {}) {
+    this.format = format || detectContentFormat(content) || 'html';
+    this.content = tolerant && this.format === 'html' ? repairHtmlStructure(content) : content || "";
+  }
+  
+  extractContainers() {
+    if (this.format === 'markdown') return this.extractMarkdownContainers();
+    
+    const containers = [];
+    const containerRegex = /<div class="layout-container layout-(\d+)col" id="([^"]+)-container">/g;
+    let match;
+    
+    while ((match = containerRegex.exec(this.content)) !== null) {
+      const columns = parseInt(match[1]);
+      const key = match[2];
+      
+      const commentPattern = new RegExp(`<!-- Container: ${key}(?:\\s*-\\s*(.+?))? -->`, 'i');
+      const commentMatch = commentPattern.exec(this.content);
+      const name = commentMatch && commentMatch[1] ? commentMatch[1] : key.charAt(0).toUpperCase() + key.slice(1);
+      
+      containers.push({ key, name, columns });
+    }
+    
+    return containers;
+  }
+  
+  extractCategories() {
+    if (this.format === 'markdown') return this.extractMarkdownCategories();
+    
+    const categories = [];
+    const sectionRegex = /<section class="(section-\w+)\s+accent-(\w+)" id="([^"]+)-section">/g;
+    let match;
+    
+    while ((match = sectionRegex.exec(this.content)) !== null) {
+      const layoutClass = match[1];
+      const accent = match[2];
+      const key = match[3];
+      
+      const layout = layoutClass.includes('compact') ? 'compact' : 
+                    layoutClass.includes('large') ? 'large' : 'cards';
+      
+      const sectionStart = this.content.indexOf(`id="${key}-section"`);
+      const sectionContent = this.content.substring(sectionStart, sectionStart + 500);
+      
+      const titleRegex = new RegExp(`<div class="${layoutClass}__title">([^<]+)</div>`);
+      const metaRegex = new RegExp(`<div class="${layoutClass}__meta">([^<]*)</div>`);
+      
+      const titleMatch = titleRegex.exec(sectionContent);
+      const metaMatch = metaRegex.exec(sectionContent);
+      
+      const containerKey = this.findContainerForCategory(key);
+      
+      categories.push({
+        key,
+        name: titleMatch ? unescapeHtml(titleMatch[1]) : key,
+        description: metaMatch ? unescapeHtml(metaMatch[1]) : '',
+        layout,
+        accent,
+        containerKey: containerKey || 'unknown',
+        column: 0
+      });
+    }
+    
+    return categories;
+  }
+  
+  /**
+   * Markdown containers: <!-- CONTAINER key columns=n --> followed by the heading with the name
+   * @returns {Array<Object>} Containers (key, name, columns)
+   */
+  extractMarkdownContainers() {
+    const containers = [];
+    const markerRegex = /<!-- CONTAINER (\S+) columns=(\d+) -->[ \t]*(?:\r?\n##[ \t]+([^\r\n]*))?/g;
+    let match;
+    
+    while ((match = markerRegex.exec(this.content)) !== null) {
+      const key = match[1];
+      const name = match[3] ? markdownHeadingText(match[3]) : '';
+      
+      containers.push({
+        key,
+        name: name || key.charAt(0).toUpperCase() + key.slice(1),
+        columns: parseInt(match[2])
+      });
+    }
+    
+    return containers;
+  }
+  
+  /**
+   * Markdown categories: <!-- SECTION key layout=... accent=... -->, a heading with the
+   * name and an optional description paragraph before the links
+   * @returns {Array<Object>} Categories (see extractCategories)
+   */
+  extractMarkdownCategories() {
+    const categories = [];
+    const markerRegex = /<!-- SECTION (\S+) layout=(\w+) accent=(\w+) -->/g;
+    let match;
+    
+    while ((match = markerRegex.exec(this.content)) !== null) {
+      const key = match[1];
+      const layout = ['compact', 'large'].includes(match[2]) ? match[2] : 'cards';
+      
+      // Heading and description end at the first link or marker
+      const bodyStart = match.index + match[0].length;
+      const bodyEnd = this.content.slice(bodyStart).search(/^(?:- |<!--)/m);
+      const lines = this.content.slice(bodyStart, bodyEnd === -1 ? undefined : bodyStart + bodyEnd).split(/\r?\n/);
+      const headingLine = lines.find(line => /^###[ \t]/.test(line));
+      const description = lines.filter(line => line.trim() && line !== headingLine).join(' ');
+      
+      categories.push({
+        key,
+        name: headingLine ? markdownHeadingText(headingLine.replace(/^###[ \t]+/, '')) || key : key,
+        description: unescapeMarkdown(description.trim()),
+        layout,
+        accent: match[3],
+        containerKey: this.findContainerForCategory(key) || 'unknown',
+        column: 0
+      });
+    }
+    
+    return categories;
+  }
+  
+  /**
+   * Position of a category's opening tag or marker
+   * @param {string} categoryKey - Category key
+   * @returns {number} Position in the content, -1 if the category does not exist
+   */
+  findCategoryStart(categoryKey) {
+    return this.format === 'markdown'
+      ? this.content.indexOf(`<!-- SECTION ${categoryKey} layout=`)
+      : this.content.indexOf(`id="${categoryKey}-section"`);
+  }
+  
+  /**
+   * End of a category's content (its closing tag or marker)
+   * @param {string} categoryKey - Category key
+   * @param {number} start - Start of the category (see findCategoryStart)
+   * @returns {number} Position in the content, -1 if the end is missing
+   */
+  findCategoryEnd(categoryKey, start) {
+    return this.format === 'markdown'
+      ? this.content.indexOf(`<!-- /SECTION ${categoryKey} -->`, start)
+      : this.content.indexOf('</section>', start);
+  }
+  
+  findContainerForCategory(categoryKey) {
+    const sectionPos = this.findCategoryStart(categoryKey);
+    if (sectionPos === -1) return null;
+    
+    const beforeSection = this.content.substring(0, sectionPos);
+    const containerMatches = [...beforeSection.matchAll(/<!-- CONTAINER_(.+?)_CONTENT_START -->/g)];
+    
+    if (containerMatches.length === 0) return null;
+    
+    // Categories after the container's end marker are outside of any container
+    const lastMatch = containerMatches[containerMatches.length - 1];
+    const endPos = this.content.indexOf(`<!-- CONTAINER_${lastMatch[1]}_CONTENT_END -->`, lastMatch.index);
+    if (endPos !== -1 && endPos < sectionPos) return null;
+    
+    return lastMatch[1].toLowerCase();
+  }
+  
+  /**
+   * Extracts all links with their full link model
+   * Every link can be rendered back with the link template of its format (see HTML_TEMPLATES.link)
+   * @param {string} [categoryKey] - Only return links of this category
+   * @returns {Array<Object>} Links with url, title, host, iconUrl, layout,
+   *   categoryKey, position (index within the category) and source range (start/end)
+   */
+  extractLinks(categoryKey) {
+    const links = [];
+    const positions = {};
+    const sections = this.extractCategories()
+      .map(cat => {
+        const start = this.findCategoryStart(cat.key);
+        const end = this.findCategoryEnd(cat.key, start);
+        return { key: cat.key, layout: cat.layout, start, end: end === -1 ? this.content.length : end };
+      })
+      .filter(section => section.start !== -1);
+    
+    if (this.format === 'markdown') {
+      return this.extractMarkdownLinks(sections, categoryKey);
+    }
+    
+    const anchorRegex = /<a\s+class="(linkcard|compact-link|large-link)"\s+href="([^"]*)"[^>]*>[\s\S]*?<\/a>/g;
+    let match;
+    
+    while ((match = anchorRegex.exec(this.content)) !== null) {
+      const start = match.index;
+      const section = sections.find(s => s.start < start && start < s.end);
+      const key = section ? section.key : null;
+      const layout = match[1] === 'compact-link' ? 'compact' :
+                    match[1] === 'large-link' ? 'large' : 'cards';
+      
+      positions[key] = (positions[key] ?? -1) + 1;
+      
+      links.push({
+        ...this.parseLinkFields(match[0], layout),
+        url: unescapeHtml(match[2]),
+        layout,
+        categoryKey: key,
+        position: positions[key],
+        start,
+        end: start + match[0].length
+      });
+    }
+    
+    return categoryKey === undefined ? links : links.filter(link => link.categoryKey === categoryKey);
+  }
+  
+  /**
+   * Markdown links: list items in the format of MARKDOWN_TEMPLATES.link
+   * Links outside of categories are returned too (for the duplicate check), in the cards layout.
+   * @param {Array<Object>} sections - Category ranges (key, layout, start, end)
+   * @param {string} [categoryKey] - Only return links of this category
+   * @returns {Array<Object>} Links (see extractLinks)
+   */
+  extractMarkdownLinks(sections, categoryKey) {
+    const links = [];
+    const positions = {};
+    const itemRegex = /^- [^\r\n]*/gm;
+    let match;
+    
+    while ((match = itemRegex.exec(this.content)) !== null) {
+      const start = match.index;
+      const section = sections.find(s => s.start < start && start < s.end);
+      const key = section ? section.key : null;
+      const layout = section ? section.layout : 'cards';
+      const fields = this.parseMarkdownLinkFields(match[0], layout);
+      
+      if (!fields) continue;
+      positions[key] = (positions[key] ?? -1) + 1;
+      
+      links.push({
+        ...fields,
+        layout,
+        categoryKey: key,
+        position: positions[key],
+        start,
+        end: start + match[0].length
+      });
+    }
+    
+    return categoryKey === undefined ? links : links.filter(link => link.categoryKey === categoryKey);
+  }
+  
+  /**
+   * Reads the link fields from a Markdown list item
+   * @param {string} line - List item
+   * @param {string} layout - Layout of the category (cards, compact, large)
+   * @returns {Object|null} Link fields including the URL, null if the item is no link card
+   */
+  parseMarkdownLinkFields(line, layout) {
+    const match = MARKDOWN_LINK.exec(line);
+    if (!match) return null;
+    
+    const [, iconUrl, title, url, host, description, previewUrl, attributes] = match;
+    const fields = {
+      url: unescapeMarkdown(url),
+      title: unescapeMarkdown(title),
+      host: host || '',
+      iconUrl: unescapeMarkdown(iconUrl || '')
+    };
+    
+    if (description) fields.description = unescapeMarkdown(description);
+    
+    // Screenshot service previews are left out, so they follow URL changes
+    if (layout === 'large') {
+      const preview = unescapeMarkdown(previewUrl || '');
+      if (!preview || preview !== previewImageUrl(fields.url)) {
+        fields.previewUrl = preview;
+      }
+    }
+    
+    Object.entries(LINK_DATA_ATTRIBUTES).forEach(([field, attribute]) => {
+      const value = new RegExp(`(?:^|\\s)${attribute}="([^"]*)"`).exec(attributes || '');
+      if (!value) return;
+      const text = unescapeHtml(value[1].replace(/&#123;/g, '{').replace(/&#125;/g, '}'));
+      fields[field] = field === 'tags' ? parseTags(text) : text;
+    });
+    
+    return fields;
+  }
+  
+  /**
+   * Reads title, host, icon, description and data attributes from a link anchor
+   * @param {string} html - Anchor HTML
+   * @param {string} layout - Layout of the anchor (cards, compact, large)
+   * @returns {Object} Link fields
+   */
+  parseLinkFields(html, layout) {
+    const fieldPatterns = {
+      compact: {
+        title: /<span class="compact-title">([\s\S]*?)<\/span>/,
+        host: /<span class="compact-url">([\s\S]*?)<\/span>/,
+        description: /<span class="compact-desc">([\s\S]*?)<\/span>/,
+        iconUrl: /<img src="([^"]*)"[^>]*class="compact-icon"/
+      },
+      large: {
+        title: /<div class="large-title">([\s\S]*?)<\/div>/,
+        host: /<div class="large-url">([\s\S]*?)<\/div>/,
+        description: /<div class="large-desc">([\s\S]*?)<\/div>/,
+        iconUrl: /<img src="([^"]*)"[^>]*class="large-icon"/,
+        previewUrl: /<img src="([^"]*)"[^>]*class="large-screenshot"/
+      },
+      cards: {
+        title: /<div class="title">([\s\S]*?)<\/div>/,
+        host: /<div class="url">([\s\S]*?)<\/div>/,
+        description: /<div class="desc">([\s\S]*?)<\/div>/,
+        iconUrl: /<img src="([^"]*)"/
+      }
+    }[layout];
+    
+    const read = (regex) => {
+      const match = regex.exec(html);
+      return match ? match[1] : '';
+    };
+    
+    const fields = {
+      title: unescapeHtml(read(fieldPatterns.title)),
+      host: unescapeHtml(read(fieldPatterns.host)),
+      iconUrl: unescapeHtml(read(fieldPatterns.iconUrl))
+    };
+    
+    const description = read(fieldPatterns.description);
+    if (description) fields.description = unescapeHtml(description);
+    
+    // Screenshot service previews are left out, so they follow URL changes
+    if (fieldPatterns.previewUrl) {
+      const previewUrl = unescapeHtml(read(fieldPatterns.previewUrl));
+      if (!previewUrl || previewUrl !== previewImageUrl(unescapeHtml(html.match(/href="([^"]*)"/)?.[1]))) {
+        fields.previewUrl = previewUrl;
+      }
+    }
+    
+    // Only the opening tag carries the data attributes
+    const openingTag = html.slice(0, html.indexOf('>') + 1);
+    Object.entries(LINK_DATA_ATTRIBUTES).forEach(([field, attribute]) => {
+      const match = new RegExp(`\\s${attribute}="([^"]*)"`).exec(openingTag);
+      if (!match) return;
+      fields[field] = field === 'tags' ? parseTags(unescapeHtml(match[1])) : unescapeHtml(match[1]);
+    });
+    
+    return fields;
+  }
+  
+  /**
+   * Counts the links of a category
+   * @param {string} categoryKey - Category key
+   * @returns {number} Number of links
+   */
+  countLinks(categoryKey) {
+    return this.extractLinks(categoryKey).length;
+  }
+  
+  /**
+   * Finds links pointing to the same resource as the given URL
+   * @param {string} url - URL to look for
+   * @returns {Array<Object>} Matching links (see extractLinks)
+   */
+  findDuplicateLinks(url) {
+    const normalized = normalizeUrl(url);
+    return this.extractLinks().filter(link => normalizeUrl(unescapeHtml(link.url)) === normalized);
+  }
+  
+  categoryExists(categoryKey) {
+    return this.findCategoryStart(categoryKey) !== -1;
+  }
+  
+  containerExists(containerKey) {
+    return this.format === 'markdown'
+      ? this.content.includes(`<!-- CONTAINER ${containerKey} columns=`)
+      : this.content.includes(`id="${containerKey}-container"`);
+  }
+}
+
+// Heading text without the {.class} attributes
+function markdownHeadingText(text) {
+  return unescapeMarkdown(text.replace(/[ \t]+\{[^{}]*\}[ \t]*$/, '').trim());
+}
+
+// ===== CONTENT MANAGER =====
+
+// Indentation of new categories and links in the container and category bodies
+const INDENTATION = {
+  html: { category: '  ', link: '      ' },
+  markdown: { category: '', link: '' }
+};
+
+export class WikiContentManager {
+  /**
+   * Content that already has containers or categories keeps its format and attribute style,
+   * the options only decide for pages without structure. Hand-edited HTML is not repaired
+   * here - that is done by "Check Page" with a preview (see page-check.js), so the popup
+   * and the service worker write the same content.
+   * @param {string} content - Page content
+   * @param {Object} [options]
+   * @param {string} [options.format] - Output format: html or markdown (default html)
+   * @param {boolean} [options.classes] - Markdown with Wiki.js {.class} attributes (default true)
+   */
+  constructor(content, { format, classes } = {}) {
+    this.format = detectContentFormat(content) || format || 'html';
+    this.content = content || "";
+    this.classes = detectMarkdownClasses(this.content) ?? classes ?? true;
+    this.templates = this.format === 'markdown' ? MARKDOWN_TEMPLATES : HTML_TEMPLATES;
+    this.indentation = INDENTATION[this.format];
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+  }
+  
+  addContainer(containerKey, name, columns) {
+    if (this.analyzer.containerExists(containerKey)) {
+      throw new Error(t('contentContainerExists', containerKey));
+    }
+    
+    const containerHTML = this.templates.container(containerKey, columns, name, this.classes);
+    this.content += (this.content && !this.content.endsWith('\n') ? '\n\n' : '\n') + containerHTML;
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    return this;
+  }
+  
+  addCategory(category) {
+    if (this.analyzer.categoryExists(category.key)) {
+      throw new Error(t('contentCategoryExists', category.key));
+    }
+    
+    if (!this.analyzer.containerExists(category.containerKey)) {
+      throw new Error(t('contentCreateContainerFirst', category.containerKey));
+    }
+    
+    const categoryHTML = this.templates.category(category, category.layout, this.classes);
+    return this.insertIntoContainer(category.containerKey, categoryHTML);
+  }
+  
+  /**
+   * Appends category HTML at the end of a container's content
+   * @param {string} containerKey - Target container
+   * @param {string} categoryHTML - Complete category section
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  insertIntoContainer(containerKey, categoryHTML) {
+    const contentEndMarker = `<!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_END -->`;
+    const markerPos = this.content.indexOf(contentEndMarker);
+    
+    if (markerPos === -1) {
+      throw new Error(t('contentContainerMarkerMissing', containerKey));
+    }
+    
+    const beforeMarker = this.content.substring(0, markerPos);
+    const afterMarker = this.content.substring(markerPos);
+    
+    const startMarker = `<!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_START -->`;
+    const startPos = this.content.indexOf(startMarker);
+    const hasContent = startPos !== -1 && 
+                      this.content.substring(startPos + startMarker.length, markerPos).trim().length > 0;
+    
+    const indent = this.indentation.category;
+    const insertion = (hasContent ? '\n' + indent : '') + categoryHTML + '\n' + indent;
+    
+    this.content = beforeMarker + insertion + afterMarker;
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    return this;
+  }
+  
+  /**
+   * Source range of a category section (from <section to </section>, or between its Markdown markers)
+   * @param {string} categoryKey - Category key
+   * @returns {{start: number, end: number}} Range in the content
+   */
+  getCategoryRange(categoryKey) {
+    if (this.format === 'markdown') {
+      const start = this.analyzer.findCategoryStart(categoryKey);
+      const end = this.analyzer.findCategoryEnd(categoryKey, start);
+      
+      if (start === -1 || end === -1) {
+        throw new Error(t('contentCategoryMissing', categoryKey));
+      }
+      return { start, end: end + `<!-- /SECTION ${categoryKey} -->`.length };
+    }
+    
+    const idPos = this.content.indexOf(`id="${categoryKey}-section"`);
+    const start = this.content.lastIndexOf('<section', idPos);
+    const end = this.content.indexOf('</section>', idPos);
+    
+    if (idPos === -1 || start === -1 || end === -1) {
+      throw new Error(t('contentCategoryMissing', categoryKey));
+    }
+    
+    return { start, end: end + '</section>'.length };
+  }
+  
+  /**
+   * Source range of a container (from its opening <div to the closing </div>, or between its Markdown markers)
+   * @param {string} containerKey - Container key
+   * @returns {{start: number, end: number}} Range in the content
+   */
+  getContainerRange(containerKey) {
+    if (this.format === 'markdown') {
+      const start = this.content.indexOf(`<!-- CONTAINER ${containerKey} columns=`);
+      const endMarker = `<!-- /CONTAINER ${containerKey} -->`;
+      const end = start === -1 ? -1 : this.content.indexOf(endMarker, start);
+      
+      if (end === -1) {
+        throw new Error(t('contentContainerBroken', containerKey));
+      }
+      return { start, end: end + endMarker.length };
+    }
+    
+    const openTag = new RegExp(`<div class="layout-container layout-\\d+col" id="${containerKey}-container">`);
+    const openMatch = openTag.exec(this.content);
+    const endMarker = `<!-- CONTAINER_${containerKey.toUpperCase()}_CONTENT_END -->`;
+    const endMarkerPos = this.content.indexOf(endMarker);
+    const closePos = endMarkerPos === -1 ? -1 : this.content.indexOf('</div>', endMarkerPos);
+    
+    if (!openMatch || closePos === -1) {
+      throw new Error(t('contentContainerBroken', containerKey));
+    }
+    
+    return { start: openMatch.index, end: closePos + '</div>'.length };
+  }
+  
+  /**
+   * Removes a range of the content
+   * Whole lines are removed if the range is the only thing on them
+   * @param {number} start - Range start
+   * @param {number} end - Range end
+   */
+  removeRange(start, end) {
+    const lineStart = this.content.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = this.content.indexOf('\n', end);
+    const before = this.content.substring(lineStart, start);
+    const after = this.content.substring(end, lineEnd === -1 ? this.content.length : lineEnd);
+    
+    if (!before.trim() && !after.trim()) {
+      start = lineStart;
+      end = lineEnd === -1 ? this.content.length : lineEnd + 1;
+    }
+    
+    this.content = this.content.slice(0, start) + this.content.slice(end);
+  }
+  
+  /**
+   * Changes name, description, accent and/or layout of a category
+   * Existing links are re-rendered when the layout changes
+   * @param {string} categoryKey - Category key (stays unchanged)
+   * @param {Object} changes - New values (name, description, accent, layout)
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  updateCategory(categoryKey, changes) {
+    const category = this.analyzer.extractCategories().find(cat => cat.key === categoryKey);
+    
+    if (!category) {
+      throw new Error(t('contentCategoryMissing', categoryKey));
+    }
+    
+    const updated = { ...category, ...changes, key: categoryKey };
+    
+    if (!String(updated.name || '').trim()) {
+      throw new Error(t('contentCategoryNameEmpty'));
+    }
+    
+    const links = this.analyzer.extractLinks(categoryKey);
+    const { start, end } = this.getCategoryRange(categoryKey);
+    const categoryHTML = this.templates.category(updated, updated.layout, this.classes).trimStart();
+    
+    this.content = this.content.slice(0, start) + categoryHTML + this.content.slice(end);
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    links.forEach(link => this.addLinkToCategory(link, categoryKey));
+    
+    return this;
+  }
+  
+  /**
+   * Deletes a category
+   * @param {string} categoryKey - Category to delete
+   * @param {Object} [options]
+   * @param {string} [options.moveLinksTo] - Category that receives the links first
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  deleteCategory(categoryKey, { moveLinksTo } = {}) {
+    if (!this.analyzer.categoryExists(categoryKey)) {
+      throw new Error(t('contentCategoryMissing', categoryKey));
+    }
+    
+    if (moveLinksTo) {
+      if (moveLinksTo === categoryKey || !this.analyzer.categoryExists(moveLinksTo)) {
+        throw new Error(t('contentCannotReceiveLinks', moveLinksTo));
+      }
+      this.analyzer.extractLinks(categoryKey).forEach(link => this.addLinkToCategory(link, moveLinksTo));
+    }
+    
+    const { start, end } = this.getCategoryRange(categoryKey);
+    this.removeRange(start, end);
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    return this;
+  }
+  
+  /**
+   * Changes name and/or column count of a container
+   * @param {string} containerKey - Container key (stays unchanged)
+   * @param {Object} changes - New values (name, columns)
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  updateContainer(containerKey, changes) {
+    const container = this.analyzer.extractContainers().find(c => c.key === containerKey);
+    
+    if (!container) {
+      throw new Error(t('contentContainerMissing', containerKey));
+    }
+    
+    const columns = parseInt(changes.columns ?? container.columns);
+    if (!(columns >= 1 && columns <= 4)) {
+      throw new Error(t('contentColumnCount'));
+    }
+    
+    if (this.format === 'markdown') {
+      const name = String(changes.name ?? container.name).trim();
+      if (!name) {
+        throw new Error(t('contentContainerNameEmpty'));
+      }
+      
+      // Marker and heading are rewritten together
+      const header = new RegExp(`<!-- CONTAINER ${containerKey} columns=\\d+ -->(?:[ \\t]*\\r?\\n##[ \\t][^\\r\\n]*)?`);
+      const [markerLine, headingLine] = this.templates.container(containerKey, columns, name, this.classes).split('\n');
+      this.content = this.content.replace(header, () => `${markerLine}\n${headingLine}`);
+      
+      this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+      return this;
+    }
+    
+    const openTag = new RegExp(`<div class="layout-container layout-\\d+col" id="${containerKey}-container">`);
+    this.content = this.content.replace(openTag,
+      `<div class="layout-container layout-${columns}col" id="${containerKey}-container">`);
+    
+    if (changes.name !== undefined) {
+      const name = String(changes.name).trim();
+      if (!name) {
+        throw new Error(t('contentContainerNameEmpty'));
+      }
+      const commentPattern = new RegExp(`<!-- Container: ${containerKey}(?:\\s*-\\s*.+?)? -->`);
+      this.content = this.content.replace(commentPattern,
+        `<!-- Container: ${containerKey} - ${name.replace(/-{2,}/g, '-')} -->`);
+    }
+    
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    return this;
+  }
+  
+  /**
+   * Deletes a container
+   * @param {string} containerKey - Container to delete
+   * @param {Object} [options]
+   * @param {string} [options.moveCategoriesTo] - Container that receives the categories first
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  deleteContainer(containerKey, { moveCategoriesTo } = {}) {
+    if (!this.analyzer.containerExists(containerKey)) {
+      throw new Error(t('contentContainerMissing', containerKey));
+    }
+    
+    if (moveCategoriesTo) {
+      if (moveCategoriesTo === containerKey || !this.analyzer.containerExists(moveCategoriesTo)) {
+        throw new Error(t('contentCannotReceiveCategories', moveCategoriesTo));
+      }
+      
+      this.analyzer.extractCategories()
+        .filter(cat => cat.containerKey === containerKey)
+        .forEach(cat => {
+          const { start, end } = this.getCategoryRange(cat.key);
+          const categoryHTML = this.indentation.category + this.content.slice(start, end);
+          
+          this.removeRange(start, end);
+          this.insertIntoContainer(moveCategoriesTo, categoryHTML);
+        });
+    }
+    
+    const { start, end } = this.getContainerRange(containerKey);
+    this.removeRange(start, end);
+    
+    // Containers are followed by an empty line
+    const lineStart = this.content.lastIndexOf('\n', start - 1) + 1;
+    if (this.content.startsWith('\n', lineStart)) {
+      this.content = this.content.slice(0, lineStart) + this.content.slice(lineStart + 1);
+    }
+    
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    return this;
+  }
+  
+  /**
+   * Adds a link to a category, rendered in the category's layout
+   * @param {Object} tabInfo - Link data (url, title, host, iconUrl)
+   * @param {string} categoryKey - Target category
+   * @param {number} [position] - Position within the category (default: append)
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  addLinkToCategory(tabInfo, categoryKey, position) {
+    if (!this.analyzer.categoryExists(categoryKey)) {
+      throw new Error(t('contentCategoryMissing', categoryKey));
+    }
+    
+    const categories = this.analyzer.extractCategories();
+    const category = categories.find(cat => cat.key === categoryKey);
+    
+    if (!category) {
+      throw new Error(t('contentCategoryInfoMissing', categoryKey));
+    }
+    
+    const linkHTML = this.templates.link(tabInfo, category.layout, this.classes);
+    const nextLink = position !== undefined ? this.analyzer.extractLinks(categoryKey)[position] : null;
+    
+    if (nextLink) {
+      // Insert before the link currently at this position, using its indentation
+      const lineStart = this.content.lastIndexOf('\n', nextLink.start - 1) + 1;
+      const indent = this.content.substring(lineStart, nextLink.start);
+      const separator = indent.trim() ? '\n' + this.indentation.link : '\n' + indent;
+      
+      this.content = this.content.slice(0, nextLink.start) + linkHTML.trimStart() + separator + this.content.slice(nextLink.start);
+      this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+      return this;
+    }
+    
+    const marker = `<!-- ${categoryKey.toUpperCase()}_LINKS_END -->`;
+    const markerPos = this.content.indexOf(marker);
+    
+    if (markerPos === -1) {
+      throw new Error(t('contentInsertMarkerMissing', categoryKey));
+    }
+    
+    this.content = this.content.slice(0, markerPos) + linkHTML + '\n' + this.indentation.link + this.content.slice(markerPos);
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    return this;
+  }
+  
+  /**
+   * Removes the given links from the page
+   * Whole lines are removed so the surrounding indentation stays intact
+   * @param {Array<Object>} links - Links as returned by extractLinks()
+   */
+  removeLinks(links) {
+    [...links]
+      .sort((a, b) => b.start - a.start)
+      .forEach(link => this.removeRange(link.start, link.end));
+    
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    return this;
+  }
+  
+  /**
+   * Finds a single link and verifies that it still points to the expected URL
+   * @param {Object} ref - Link reference
+   * @param {string} ref.categoryKey - Category of the link
+   * @param {number} ref.position - Position of the link within the category
+   * @param {string} [ref.url] - Expected URL (guards against outdated link lists)
+   * @returns {Object} Link (see WikiStructureAnalyzer.extractLinks)
+   */
+  findLink({ categoryKey, position, url }) {
+    const link = this.analyzer.extractLinks(categoryKey)[position];
+    
+    if (!link || (url !== undefined && link.url !== url)) {
+      throw new Error(t('contentLinkNotFound', position + 1, categoryKey));
+    }
+    
+    return link;
+  }
+  
+  /**
+   * Removes a single link
+   * @param {Object} ref - Link reference (see findLink)
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  removeLink(ref) {
+    return this.removeLinks([this.findLink(ref)]);
+  }
+  
+  /**
+   * Changes title and/or URL of a single link and re-renders it in its layout
+   * @param {Object} ref - Link reference (see findLink)
+   * @param {Object} changes - New values
+   * @param {string} [changes.title] - New link title
+   * @param {string} [changes.url] - New link URL
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  updateLink(ref, changes) {
+    const link = this.findLink(ref);
+    const updated = { ...link };
+    
+    if (changes.title !== undefined) {
+      if (!changes.title.trim()) {
+        throw new Error(t('contentLinkTitleEmpty'));
+      }
+      updated.title = changes.title.trim();
+    }
+    
+    if (changes.url !== undefined && changes.url.trim() !== link.url) {
+      let u;
+      try {
+        u = new URL(changes.url.trim());
+      } catch {
+        throw new Error(t('contentInvalidUrl', changes.url));
+      }
+      if (!/^https?:$/.test(u.protocol)) {
+        throw new Error(t('contentHttpOnly'));
+      }
+      
+      updated.url = u.href;
+      updated.host = u.hostname;
+      // Keep custom icons, only follow the host with generated favicons
+      if (link.iconUrl === faviconUrl(link.host)) {
+        updated.iconUrl = faviconUrl(u.hostname);
+      }
+    }
+    
+    const linkHTML = this.templates.link(updated, link.layout, this.classes).trimStart();
+    this.content = this.content.slice(0, link.start) + linkHTML + this.content.slice(link.end);
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    
+    return this;
+  }
+  
+  /**
+   * Moves a link to another position and/or category
+   * The link is re-rendered in the layout of the target category
+   * @param {Object} ref - Link reference (see findLink)
+   * @param {string} targetCategoryKey - Target category
+   * @param {number} [targetPosition] - Position in the target category (default: append)
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  moveLink(ref, targetCategoryKey, targetPosition) {
+    const link = this.findLink(ref);
+    
+    if (!this.analyzer.categoryExists(targetCategoryKey)) {
+      throw new Error(t('contentCategoryMissing', targetCategoryKey));
+    }
+    
+    this.removeLinks([link]);
+    return this.addLinkToCategory(link, targetCategoryKey, targetPosition);
+  }
+  
+  /**
+   * Moves a link to another position within its category
+   * @param {Object} ref - Link reference (see findLink)
+   * @param {number} newPosition - New position within the category
+   * @returns {WikiContentManager} Returns this for method chaining
+   */
+  reorderLink(ref, newPosition) {
+    return this.moveLink(ref, ref.categoryKey, newPosition);
+  }
+  
+  /**
+   * NEW FUNCTION: Remove all links from all categories
+   * Keeps containers and categories, removes only link content
+   */
+  removeAllLinks() {
+    // Markdown links are single lines without a surrounding element
+    if (this.format === 'markdown') {
+      return this.removeLinks(this.analyzer.extractLinks().filter(link => link.categoryKey));
+    }
+    
+    const categories = this.analyzer.extractCategories();
+    
+    categories.forEach(category => {
+      const marker = `<!-- ${category.key.toUpperCase()}_LINKS_END -->`;
+      const markerPos = this.content.indexOf(marker);
+      
+      if (markerPos === -1) return;
+      
+      const beforeMarker = this.content.substring(0, markerPos);
+      const afterMarker = this.content.substring(markerPos);
+      
+      // Find link container start based on layout
+      let linkContainerStart;
+      if (category.layout === 'compact') {
+        linkContainerStart = beforeMarker.lastIndexOf('<div class="compact-links">');
+      } else if (category.layout === 'large') {
+        linkContainerStart = beforeMarker.lastIndexOf('<div class="large-links">');
+      } else {
+        linkContainerStart = beforeMarker.lastIndexOf('<div class="links">');
+      }
+      
+      if (linkContainerStart === -1) return;
+      
+      const linkContainerStartEnd = this.content.indexOf('>', linkContainerStart) + 1;
+      const beforeLinks = this.content.substring(0, linkContainerStartEnd);
+      const afterLinks = this.content.substring(markerPos);
+      
+      // Set empty link area with correct indentation
+      this.content = beforeLinks + '\n      ' + afterLinks;
+    });
+    
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+    return this;
+  }
+  
+  getContent() {
+    return this.content;
+  }
+  
+  /**
+   * Replaces the whole content, e.g. when restoring a snapshot
+   * @param {string} content - New content (in the format of this manager)
+   */
+  setContent(content) {
+    this.content = content || "";
+    this.analyzer = new WikiStructureAnalyzer(this.content, this.format, { tolerant: false });
+  }
+}
+
+/**
+ * Rewrites the containers, categories and links of a page in another output format
+ * Text outside of the link structure is not carried over.
+ * @param {string} content - Page content (HTML or Markdown)
+ * @param {Object} options - Target format, see WikiContentManager
+ * @returns {string} Content in the target format
+ */
+export function convertContent(content, options) {
+  const analyzer = new WikiStructureAnalyzer(content);
+  const manager = new WikiContentManager('', options);
+  
+  analyzer.extractContainers().forEach(container => manager.addContainer(container.key, container.name, container.columns));
+  analyzer.extractCategories()
+    .filter(category => manager.analyzer.containerExists(category.containerKey))
+    .forEach(category => manager.addCategory(category));
+  analyzer.extractLinks()
+    .filter(link => link.categoryKey && manager.analyzer.categoryExists(link.categoryKey))
+    .forEach(link => manager.addLinkToCategory(link, link.categoryKey));
+  
+  return manager.getContent();
+}
+
+// ===== TOLERANT HTML PARSER =====
+
+const CONTAINER_SELECTOR = '.layout-container, [id$="-container"]';
+const CATEGORY_SELECTOR = '[id$="-section"], .section-card, .section-compact, .section-large';
+const LINK_AREA_SELECTOR = '.links, .compact-links, .large-links';
+
+// Comment markers that are written again for every container and category
+const STRUCTURE_COMMENT = /^\s*(?:Container:\s|CONTAINER_.+_CONTENT_(?:START|END)\s*$|\S+_LINKS_END\s*$)/;
+
+// Text as shown on the page: entities decoded, whitespace collapsed
+const cleanText = (text) => String(text ?? "").replace(/\s+/g, ' ').trim();
+
+/**
+ * Rewrites containers and categories that the marker-based analyzer cannot read
+ *
+ * Hand edits in the Wiki.js editor (reformatted tags, reordered attributes, removed
+ * comment markers, links wrapped in other elements) are read with DOMParser,
+ * recognizing containers and categories by their id or class. If that differs from
+ * what WikiStructureAnalyzer reads, containers and categories are written again as
+ * HTML_TEMPLATES would write them, with all markers. Everything outside of them is
+ * kept byte for byte (see serializeHtmlStructure).
+ *
+ * Without DOMParser (service worker), or if the source of a container or category
+ * cannot be located (e.g. an unclosed tag), the content is returned unchanged.
+ *
+ * @param {string} content - HTML page content
+ * @returns {string} Content the analyzer can read
+ */
+export function repairHtmlStructure(content) {
+  const text = String(content || "");
+  if (typeof DOMParser === 'undefined' || detectContentFormat(text) !== 'html') return text;
+  
+  try {
+    const parsed = parseHtmlStructure(text);
+    if (structureSummary(parsed) === analyzerSummary(text)) return text;
+    
+    console.warn("Page structure was edited by hand, rewriting containers and categories");
+    return serializeHtmlStructure(parsed);
+  } catch (e) {
+    console.warn("Page structure could not be repaired:", e);
+    return text;
+  }
+}
+
+/**
+ * Reads containers, categories and links with DOMParser
+ * Duplicate keys get a suffix ("news_2"), so every container and category can be written back.
+ * @param {string} content - HTML page content
+ * @returns {Object} { source, document, containers, categories } - categories outside of
+ *   containers have the containerKey 'unknown'; items are links and other content in page order;
+ *   range is the element's position in the source ({ start, end }, null if it cannot be located)
+ */
+export function parseHtmlStructure(content) {
+  // The body start tag keeps leading comments in the body
+  const document = new DOMParser().parseFromString(`<!DOCTYPE html><html><head></head><body>${content}`, 'text/html');
+  const usedKeys = new Set();
+  const uniqueKey = (key, fallback) => {
+    let unique = key || fallback;
+    for (let n = 2; usedKeys.has(unique); n++) unique = `${key || fallback}_${n}`;
+    usedKeys.add(unique);
+    return unique;
+  };
+  
+  const containerElements = [...document.body.querySelectorAll(CONTAINER_SELECTOR)]
+    .filter(element => !element.parentElement.closest(CONTAINER_SELECTOR));
+  const categoryElements = [...document.body.querySelectorAll(CATEGORY_SELECTOR)]
+    .filter(element => !containerElements.includes(element) && !element.parentElement.closest(CATEGORY_SELECTOR));
+  
+  const containers = containerElements.map((element, index) => {
+    const comments = childComments(element);
+    const label = comments.map(comment => /^\s*Container:\s*(\S+)(?:\s*-\s*(.+?))?\s*$/.exec(comment)).find(Boolean);
+    const startMarker = comments.map(comment => /^\s*CONTAINER_(.+)_CONTENT_START\s*$/.exec(comment)).find(Boolean);
+    const key = uniqueKey(
+      element.id.match(/^(.+)-container$/)?.[1] || label?.[1] || startMarker?.[1].toLowerCase(),
+      `container_${index + 1}`);
+    
+    return {
+      element,
+      key,
+      name: label?.[2] || key.charAt(0).toUpperCase() + key.slice(1),
+      columns: Math.min(4, parseInt(/\blayout-(\d+)col\b/.exec(element.className)?.[1]) || 2)
+    };
+  });
+  
+  const categories = categoryElements.map((element, index) => {
+    const header = element.querySelector('header');
+    const title = element.querySelector('[class*="__title"]') || (header || element).querySelector('h1, h2, h3, h4, h5, h6') || header;
+    const name = cleanText(title?.textContent);
+    const linkArea = element.querySelector(LINK_AREA_SELECTOR);
+    const className = `${element.className} ${linkArea?.className || ''}`;
+    const layout = /\b(section-compact|compact-links)\b/.test(className) ? 'compact' :
+                  /\b(section-large|large-links)\b/.test(className) ? 'large' : 'cards';
+    const marker = childComments(linkArea || element).map(comment => /^\s*(\S+)_LINKS_END\s*$/.exec(comment)).find(Boolean);
+    const key = uniqueKey(
+      element.id.match(/^(.+)-section$/)?.[1] || marker?.[1].toLowerCase() ||
+        name.toLowerCase().replace(/[^a-z0-9äöüß]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, ''),
+      `category_${index + 1}`);
+    const container = containers.find(c => c.element.contains(element));
+    
+    return {
+      element,
+      key,
+      name: name || key,
+      description: cleanText(element.querySelector('[class*="__meta"]')?.textContent),
+      layout,
+      accent: /\baccent-(\w+)\b/.exec(element.className)?.[1] || 'blue',
+      containerKey: container ? container.key : 'unknown',
+      column: 0,
+      items: readItems(element, layout, title)
+    };
+  });
+  
+  containers.forEach(container => {
+    container.items = readItems(container.element, null, null, categories);
+  });
+  
+  const locate = sourceLocator(content, document);
+  [...containers, ...categories].forEach(item => {
+    item.range = locate(item.element);
+  });
+  
+  return { source: content, document, containers, categories };
+}
+
+/**
+ * Start tags, end tags and comments of HTML source with their positions
+ * @param {string} source - HTML source
+ * @returns {Array<Object>} Tokens (type 'start', 'end' or 'comment', name, start, end,
+ *   signature of start tags, data of comments)
+ */
+function scanTags(source) {
+  const tokens = [];
+  const tagRegex = /<!--([\s\S]*?)(?:-->|$)|<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let match;
+  
+  while ((match = tagRegex.exec(source)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    
+    if (!match[3]) {
+      tokens.push({ type: 'comment', start, end, data: match[1] });
+      continue;
+    }
+    
+    const name = match[3].toLowerCase();
+    if (match[2]) {
+      tokens.push({ type: 'end', name, start, end });
+      continue;
+    }
+    
+    tokens.push({
+      type: 'start', name, start, end,
+      signature: elementSignature(name, attributeValue(match[4], 'id'), attributeValue(match[4], 'class'))
+    });
+    
+    // Script and style content is no markup
+    if (['script', 'style', 'textarea'].includes(name)) {
+      const close = source.toLowerCase().indexOf(`</${name}`, end);
+      tagRegex.lastIndex = close === -1 ? source.length : close;
+    }
+  }
+  
+  return tokens;
+}
+
+function attributeValue(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attributes);
+  return match ? unescapeHtml(match[1] ?? match[2] ?? match[3]) : '';
+}
+
+// Tag name, id and classes (in any order) - what identifies a container or category tag in the source
+function elementSignature(name, id, className) {
+  const classes = String(className || "").split(/\s+/).filter(Boolean).sort().join('.');
+  return `${name}#${String(id || "").trim()}.${classes}`;
+}
+
+/**
+ * Finds elements in the source: the start tag with the same signature at the same
+ * position among its kind, up to the matching end tag
+ * @param {string} source - HTML source that was parsed
+ * @param {Document} document - Parsed document
+ * @returns {Function} element => { start, end }, null if the source cannot be located
+ */
+function sourceLocator(source, document) {
+  const tokens = scanTags(source);
+  const signatureOf = (element) => elementSignature(element.tagName.toLowerCase(), element.getAttribute('id'), element.getAttribute('class'));
+  
+  return (element) => {
+    const name = element.tagName.toLowerCase();
+    const signature = signatureOf(element);
+    const index = [...document.body.querySelectorAll(name)]
+      .filter(other => signatureOf(other) === signature)
+      .indexOf(element);
+    const startToken = tokens.filter(token => token.type === 'start' && token.signature === signature)[index];
+    if (index === -1 || !startToken) return null;
+    
+    let depth = 0;
+    for (const token of tokens.slice(tokens.indexOf(startToken))) {
+      if (token.type === 'comment' || token.name !== name) continue;
+      depth += token.type === 'start' ? 1 : -1;
+      if (depth === 0) return { start: startToken.start, end: token.end };
+    }
+    
+    // Unclosed tag
+    return null;
+  };
+}
+
+// Comments directly inside an element
+function childComments(element) {
+  return [...element.childNodes].filter(node => node.nodeType === 8).map(node => node.data);
+}
+
+/**
+ * Links, categories and other content inside a container or category, in page order
+ * Elements that only wrap links or categories are left out, everything else is kept as HTML.
+ */
+function readItems(element, layout, title, categories = []) {
+  const items = [];
+  
+  const walk = (parent) => [...parent.childNodes].forEach(node => {
+    if (node.nodeType === 8) {
+      if (!STRUCTURE_COMMENT.test(node.data)) items.push({ html: `<!--${node.data}-->` });
+    } else if (node.nodeType === 3) {
+      if (node.data.trim()) items.push({ html: escapeHtml(node.data.trim()) });
+    } else if (node.nodeType === 1) {
+      const category = categories.find(cat => cat.element === node);
+      if (category) {
+        items.push({ category });
+      } else if (layout && node.matches('a[href]')) {
+        items.push({ link: readLinkElement(node, layout) });
+      } else if (layout && (node === title || node.matches('header, [class*="__meta"]'))) {
+        // Name and description are written again from the category
+      } else if ((layout && node.matches(LINK_AREA_SELECTOR)) || node.querySelector(layout ? 'a[href]' : CATEGORY_SELECTOR) || (title && node.contains(title))) {
+        walk(node);
+      } else {
+        items.push({ html: node.outerHTML });
+      }
+    }
+  });
+  
+  walk(element);
+  return items;
+}
+
+/**
+ * Reads a link card (or a plain link) like WikiStructureAnalyzer.parseLinkFields
+ * @param {Element} anchor - Link element
+ * @param {string} layout - Layout of the category
+ * @returns {Object} Link data (see HTML_TEMPLATES.link)
+ */
+function readLinkElement(anchor, layout) {
+  const url = anchor.getAttribute('href').trim();
+  const read = (selector) => cleanText(anchor.querySelector(selector)?.textContent);
+  let host = read('.url, .compact-url, .large-url');
+  if (!host) {
+    try { host = new URL(url).hostname; } catch { host = ''; }
+  }
+  
+  const icon = anchor.querySelector('img.compact-icon, img.large-icon') ||
+    [...anchor.querySelectorAll('img')].find(img => !img.classList.contains('large-screenshot'));
+  const fields = {
+    url,
+    title: read('.title, .compact-title, .large-title') || cleanText(anchor.textContent) || host || url,
+    host,
+    iconUrl: icon?.getAttribute('src') || ''
+  };
+  
+  const description = read('.desc, .compact-desc, .large-desc');
+  if (description) fields.description = description;
+  
+  // Screenshot service previews are left out, so they follow URL changes
+  if (layout === 'large') {
+    const previewUrl = anchor.querySelector('img.large-screenshot')?.getAttribute('src') || '';
+    if (!previewUrl || previewUrl !== previewImageUrl(url)) fields.previewUrl = previewUrl;
+  }
+  
+  Object.entries(LINK_DATA_ATTRIBUTES).forEach(([field, attribute]) => {
+    const value = anchor.getAttribute(attribute);
+    if (value) fields[field] = field === 'tags' ? parseTags(value) : value;
+  });
+  
+  return fields;
+}
+
+// What the analyzer has to find for every container and category - compared with analyzerSummary
+function structureSummary({ containers, categories }) {
+  return JSON.stringify({
+    containers: containers.map(c => [c.key, c.name, c.columns, true]),
+    categories: categories.map(c => [
+      c.key, cleanText(c.name), cleanText(c.description), c.layout, c.accent, c.containerKey, true,
+      c.items.filter(item => item.link).map(item => [item.link.url, cleanText(item.link.title)])
+    ])
+  });
+}
+
+function analyzerSummary(content) {
+  const analyzer = new WikiStructureAnalyzer(content, 'html', { tolerant: false });
+  const links = analyzer.extractLinks();
+  
+  return JSON.stringify({
+    containers: analyzer.extractContainers().map(c => {
+      const open = content.search(new RegExp(`<div class="layout-container layout-\\d+col" id="${escapeRegExp(c.key)}-container">`));
+      const start = content.indexOf(`<!-- CONTAINER_${c.key.toUpperCase()}_CONTENT_START -->`);
+      const end = content.indexOf(`<!-- CONTAINER_${c.key.toUpperCase()}_CONTENT_END -->`);
+      return [c.key, c.name, c.columns, open < start && start < end];
+    }),
+    categories: analyzer.extractCategories().map(c => {
+      const start = analyzer.findCategoryStart(c.key);
+      const end = analyzer.findCategoryEnd(c.key, start);
+      const marker = content.indexOf(`<!-- ${c.key.toUpperCase()}_LINKS_END -->`, start);
+      return [
+        c.key, cleanText(c.name), cleanText(c.description), c.layout, c.accent, c.containerKey, marker !== -1 && marker < end,
+        links.filter(link => link.categoryKey === c.key).map(link => [unescapeHtml(link.url), cleanText(link.title)])
+      ];
+    })
+  });
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Writes the parsed page back: the source ranges of containers and categories are
+ * replaced with the templates, every other byte of the source is kept
+ * Structure markers left outside of containers and categories are dropped.
+ * @param {Object} parsed - Result of parseHtmlStructure, changes to it are written too:
+ *   categories with "moved" are removed from their place, containers with "insertAt"
+ *   (a source position) are new
+ * @returns {string} HTML page content
+ * @throws {Error} If the source of a container or category could not be located
+ */
+export function serializeHtmlStructure({ source, containers, categories }) {
+  const edits = [];
+  const rangeOf = (item) => {
+    if (!item.range) throw new Error(t('contentSourceNotFound', item.name || item.key));
+    return item.range;
+  };
+  
+  containers.forEach(container => {
+    const html = renderContainer(container);
+    if (container.insertAt !== undefined) {
+      edits.push({ start: container.insertAt, end: container.insertAt, html: `${html}\n`, name: container.name });
+    } else {
+      edits.push({ ...rangeOf(container), html, name: container.name });
+    }
+  });
+  
+  categories.forEach(category => {
+    if (category.containerKey === 'unknown') {
+      edits.push({ ...rangeOf(category), html: renderCategory(category), name: category.name });
+    } else if (category.moved) {
+      edits.push({ ...rangeOf(category), html: '', name: category.name });
+    }
+  });
+  
+  scanTags(source)
+    .filter(token => token.type === 'comment' && STRUCTURE_COMMENT.test(token.data))
+    .filter(token => !edits.some(edit => edit.start <= token.start && token.end <= edit.end))
+    .forEach(token => edits.push({ start: token.start, end: token.end, html: '' }));
+  
+  edits.sort((a, b) => a.start - b.start || a.end - b.end);
+  edits.forEach((edit, index) => {
+    if (index > 0 && edit.start < edits[index - 1].end) {
+      throw new Error(t('contentSourceNotFound', edit.name || edits[index - 1].name));
+    }
+  });
+  
+  // From the end, so the positions of earlier edits stay valid
+  return edits.reduceRight((text, edit) => {
+    let { start, end } = edit;
+    
+    // Removed ranges take their line with them if nothing else is on it
+    if (!edit.html) {
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = text.indexOf('\n', end);
+      if (!text.slice(lineStart, start).trim() && !text.slice(end, lineEnd === -1 ? text.length : lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd === -1 ? text.length : lineEnd + 1;
+      }
+    }
+    
+    return text.slice(0, start) + edit.html + text.slice(end);
+  }, source);
+}
+
+function renderContainer(container) {
+  const manager = new WikiContentManager('', { format: 'html' });
+  manager.addContainer(container.key, container.name, container.columns);
+  
+  container.items.forEach(item => {
+    if (item.category) {
+      addParsedCategory(manager, { ...item.category, containerKey: container.key });
+    } else {
+      manager.insertIntoContainer(container.key, manager.indentation.category + item.html);
+    }
+  });
+  
+  const { start, end } = manager.getContainerRange(container.key);
+  return manager.getContent().slice(start, end);
+}
+
+// Categories outside of containers stay where they are
+function renderCategory(category) {
+  const manager = new WikiContentManager('', { format: 'html' });
+  manager.addContainer('page', '', 1);
+  addParsedCategory(manager, { ...category, containerKey: 'page' });
+  
+  const { start, end } = manager.getCategoryRange(category.key);
+  return manager.getContent().slice(start, end);
+}
+
+function addParsedCategory(manager, category) {
+  manager.addCategory(category);
+  const marker = `<!-- ${category.key.toUpperCase()}_LINKS_END -->`;
+  
+  category.items.forEach(item => {
+    if (item.link) {
+      manager.addLinkToCategory(item.link, category.key);
+    } else {
+      manager.setContent(manager.getContent().replace(marker, () => `${item.html}\n${manager.indentation.link}${marker}`));
+    }
+  });
+}